@@ -1,9 +1,18 @@
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
+import multer from 'multer';
 import dotenv from 'dotenv';
 import WhatsAppManager from './services/whatsappManager.js';
+import { PERMISSIONS } from './services/apiKeyStore.js';
+import { INTERACTIVE_FORMATS } from './services/sessionCapabilities.js';
+import { WEBHOOK_EVENTS } from './services/webhookDispatcher.js';
+import { buildMessageContent, MAX_MEDIA_BYTES } from './utils/mediaMessage.js';
+import { RateLimitError } from './utils/errors.js';
 import logger from './utils/logger.js';
+import metrics from './utils/metrics.js';
+import { requestIdMiddleware, restoreRequestContext, addToRequestContext } from './utils/requestContext.js';
 
 dotenv.config();
 
@@ -12,19 +21,53 @@ const PORT = process.env.PORT || 3000;
 
 // Inicializar manager de WhatsApp
 const whatsappManager = new WhatsAppManager();
+metrics.attachManager(whatsappManager);
+
+// API keys por integración (acceso limitado por sesión y permiso); el manager las guarda al cerrar
+const apiKeys = whatsappManager.apiKeys;
 
 // Middleware básico
 app.use(helmet());
+app.use(requestIdMiddleware);
+app.use(metrics.httpMetrics);
 
 // CORS simplificado - sin validaciones de origin
 app.use(cors({
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Auth', 'User-Agent'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Auth', 'User-Agent', 'X-Request-Id', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Límite del body: alcanza para archivos en base64 (ocupan ~4/3 del tamaño original)
+const BODY_LIMIT = process.env.BODY_LIMIT || '25mb';
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT }));
+app.use(restoreRequestContext);
+
+// El turno de la request (body o query) queda en todos sus logs
+app.use((req, res, next) => {
+  addToRequestContext({ appointmentId: req.body?.appointmentId || req.query.appointmentId });
+  next();
+});
+
+// Archivos multipart (campo "file"), en memoria: se envían directo a WhatsApp
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MEDIA_BYTES, files: 1 }
+});
+
+const uploadMedia = (req, res, next) => {
+  upload.single('file')(req, res, (error) => restoreRequestContext(req, res, () => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: `Error en el archivo: ${error.message}`
+      });
+    }
+    next();
+  }));
+};
 
 // Middleware de autenticación simplificado - solo lo que importa
 const authenticate = (req, res, next) => {
@@ -62,36 +105,166 @@ const authenticate = (req, res, next) => {
       validToken = process.env.LOCAL_ACCESS_TOKEN || 'dev_token_12345';
   }
   
+  // El token del entorno tiene acceso total (administración)
+  if (validToken && apiToken === validToken) {
+    req.auth = { admin: true, key: null };
+    return next();
+  }
+  
+  // 3. API keys emitidas por sesión, con permisos limitados
+  const apiKey = apiKeys.verify(apiToken);
+  if (apiKey) {
+    req.auth = { admin: false, key: apiKey };
+    return next();
+  }
+  
   if (!validToken) {
     return res.status(500).json({ 
       error: 'Configuración de token no encontrada para el entorno: ' + nodeEnv
     });
   }
   
-  if (!apiToken || apiToken !== validToken) {
-    return res.status(401).json({ 
-      error: 'Token de autenticación requerido',
-      required: 'Header X-API-Auth con token válido para entorno: ' + nodeEnv,
-      environment: nodeEnv
+  return res.status(401).json({ 
+    error: 'Token de autenticación requerido',
+    required: 'Header X-API-Auth con token válido para entorno: ' + nodeEnv,
+    environment: nodeEnv
+  });
+};
+
+// Middleware de autorización: el token del entorno puede todo; las API keys
+// solo los permisos otorgados y sobre los números de sesión asignados
+const authorize = (permission) => (req, res, next) => {
+  if (req.auth?.admin) {
+    return next();
+  }
+  
+  const { key } = req.auth || {};
+  
+  if (!key || !apiKeys.allows(key, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `La API key no tiene el permiso requerido: ${permission}`
+    });
+  }
+  
+  if (req.params.phoneNumber && !apiKeys.allowsPhone(key, whatsappManager.cleanNumber(req.params.phoneNumber))) {
+    return res.status(403).json({
+      success: false,
+      error: 'La API key no tiene acceso a esta sesión'
+    });
+  }
+  
+  next();
+};
+
+// Permiso extra sobre la sesión de la URL (ej. "qr" para incluir el QR en respuestas de "status")
+const hasPermission = (req, permission) => {
+  if (req.auth?.admin) {
+    return true;
+  }
+  
+  const { key } = req.auth || {};
+  return !!key && apiKeys.allows(key, permission) &&
+    (!req.params.phoneNumber || apiKeys.allowsPhone(key, whatsappManager.cleanNumber(req.params.phoneNumber)));
+};
+
+// Solo el token del entorno (administración de API keys y templates globales)
+const requireAdmin = (req, res, next) => {
+  if (!req.auth?.admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Se requiere el token de administración'
+    });
+  }
+  next();
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Envíos idempotentes: con el header Idempotency-Key (o, en templates, el mismo appointmentId + messageType)
+// un reintento recibe la respuesta del primer pedido en vez de volver a enviar. "force": true saltea
+// la deduplicación por turno (no la del header).
+const idempotent = ({ appointmentDedupe = false } = {}) => async (req, res, next) => {
+  const body = req.body || {};
+  const { force, queue, requireWhatsApp, ...sendData } = body;
+  let claim;
+
+  try {
+    claim = await whatsappManager.idempotency.begin(whatsappManager.cleanNumber(req.params.phoneNumber), {
+      idempotencyKey: req.get('Idempotency-Key'),
+      fingerprint: sha256(JSON.stringify({ body, file: req.file ? sha256(req.file.buffer) : null })),
+      appointment: appointmentDedupe && force !== true && force !== 'true' ? {
+        appointmentId: body.appointmentId,
+        messageType: body.messageType,
+        data: { ...sendData, phone: whatsappManager.cleanNumber(String(body.phone || '')) }
+      } : null
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
     });
   }
 
-  next(); // Todas las validaciones pasaron
+  if (!claim) {
+    return next();
+  }
+
+  if (claim.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.status).json(claim.replay.body);
+  }
+
+  // Guardar la respuesta del handler aunque el cliente ya haya cortado (timeout de Symfony): el pedido sigue
+  // en curso hasta que el handler responde, así el reintento espera ese resultado en vez de enviar de nuevo.
+  // Si la respuesta no pasó por res.json, liberar a los que esperan al terminarla.
+  const json = res.json.bind(res);
+  res.json = (responseBody) => {
+    whatsappManager.idempotency.complete(claim, res.statusCode, responseBody);
+    return json(responseBody);
+  };
+  res.on('finish', () => whatsappManager.idempotency.release(claim));
+
+  next();
 };
 
+// Validar el número de sesión en todas las rutas. Se usa solo con dígitos, tal cual llega,
+// porque es el nombre de la carpeta de credenciales (no se le agrega el 9 ni el código de país).
+app.param('phoneNumber', (req, res, next, phoneNumber) => {
+  const digits = whatsappManager.cleanNumber(phoneNumber);
+  
+  if (digits.length < 8 || digits.length > 15) {
+    return res.status(400).json({
+      success: false,
+      error: `Número de sesión inválido: ${phoneNumber} (se esperan entre 8 y 15 dígitos con código de país)`
+    });
+  }
+  
+  addToRequestContext({ sessionPhone: digits });
+  next();
+});
+
+// El turno de la URL (/scheduled/:appointmentId) queda en todos los logs de la request
+app.param('appointmentId', (req, res, next, appointmentId) => {
+  addToRequestContext({ appointmentId });
+  next();
+});
+
 // 🟢 Endpoint de salud SIN autenticación
 app.get('/api/health', (req, res) => {
   try {
-    const allSessions = whatsappManager.getAllInstances();
-    const sessionCount = Object.keys(allSessions).length;
+    // Sin autenticación: solo totales, el estado de cada sesión está en .../status y /api/whatsapp/sessions
+    const instances = Array.from(whatsappManager.instances.values());
+    const { sessions, ...restore } = whatsappManager.restorer.getProgress();
     
     res.json({
       status: 'OK',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       whatsapp: {
-        totalSessions: sessionCount,
-        sessions: allSessions
+        totalSessions: instances.length,
+        connectedSessions: instances.filter(instance => instance.isConnected).length,
+        restore
       },
       server: {
         memory: process.memoryUsage(),
@@ -109,29 +282,85 @@ app.get('/api/health', (req, res) => {
   }
 });
 
+// Comparar tokens sin filtrar por tiempo de respuesta cuántos caracteres coinciden
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+// Las métricas incluyen los números y estados de todas las sesiones: se exige Authorization: Bearer <METRICS_TOKEN>
+// o, sin ese token, el token del entorno (X-API-Auth)
+const authenticateMetrics = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+  
+  if (token && bearer) {
+    return safeEqual(bearer, token) ? next() : res.status(401).json({ error: 'Token de métricas inválido' });
+  }
+  
+  authenticate(req, res, () => requireAdmin(req, res, next));
+};
+
+// Métricas Prometheus
+app.get('/metrics', authenticateMetrics, async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Error generando métricas:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Readiness: 503 mientras se restauran las sesiones guardadas, 200 cuando terminó
+app.get('/api/ready', (req, res) => {
+  const { status, total, restored, failed, skipped, pending } = whatsappManager.restorer.getProgress();
+  const ready = whatsappManager.restorer.isReady();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'restoring',
+    restore: { status, total, restored, failed, skipped, pending },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // 🔐 Endpoints CON autenticación
 // Endpoint para obtener estado de una sesión específica
-app.get('/api/whatsapp/session/:phoneNumber/status', authenticate, async (req, res) => {
+app.get('/api/whatsapp/session/:phoneNumber/status', authenticate, authorize('status'), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
+    
+    // Una sesión desactivada no se conecta para consultar el estado
+    if (whatsappManager.isSessionDisabled(phoneNumber)) {
+      return res.json({
+        success: true,
+        data: await whatsappManager.describeSession(phoneNumber)
+      });
+    }
+    
     const instance = await whatsappManager.getInstance(phoneNumber);
     const state = instance.getConnectionState();
     
+    // El QR solo para quien puede vincular la sesión
+    if (hasPermission(req, 'qr')) {
+      state.qrCode = instance.getQRCode();
+    }
+    
     res.json({
       success: true,
       data: state
     });
   } catch (error) {
     logger.error('Error obteniendo estado:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Error interno del servidor'
+      error: error.statusCode ? error.message : 'Error interno del servidor'
     });
   }
 });
 
 // Endpoint inteligente para obtener QR - maneja automáticamente la conexión
-app.get('/api/whatsapp/session/:phoneNumber/qr', authenticate, async (req, res) => {
+app.get('/api/whatsapp/session/:phoneNumber/qr', authenticate, authorize('qr'), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     
@@ -183,11 +412,12 @@ app.get('/api/whatsapp/session/:phoneNumber/qr', authenticate, async (req, res)
     }
     
     // Si hay QR disponible, devolverlo
-    if (state.qrCode) {
+    const qrCode = instance.getQRCode();
+    if (qrCode) {
       return res.json({
         success: true,
         message: 'QR disponible - Escanea para conectar',
-        qr: state.qrCode,
+        qr: qrCode,
         state: state.state,
         phoneNumber: phoneNumber,
         reconnectAttempts: state.reconnectAttempts,
@@ -219,7 +449,7 @@ app.get('/api/whatsapp/session/:phoneNumber/qr', authenticate, async (req, res)
     
   } catch (error) {
     logger.error('Error obteniendo QR:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error interno del servidor',
       error: error.message
@@ -227,21 +457,237 @@ app.get('/api/whatsapp/session/:phoneNumber/qr', authenticate, async (req, res)
   }
 });
 
+// Endpoint para vincular con código de 8 caracteres en lugar de escanear el QR
+app.post('/api/whatsapp/session/:phoneNumber/pairing-code', authenticate, authorize('qr'), async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    let instance = await whatsappManager.getInstance(phoneNumber);
+    const state = instance.getConnectionState();
+    
+    if (state.isConnected && state.state === 'connected') {
+      return res.status(409).json({
+        success: false,
+        message: 'Código no disponible - Ya está conectado',
+        state: 'connected',
+        phoneNumber: instance.phoneNumber
+      });
+    }
+    
+    // Si está desconectado o con error, empezar con una instancia nueva
+    if (['disconnected', 'failed', 'logged_out'].includes(state.state)) {
+      logger.info(`🔄 Reiniciando sesión ${instance.phoneNumber} para vincular con código - Estado: ${state.state}`);
+      await whatsappManager.closeInstance(phoneNumber);
+      instance = await whatsappManager.getInstance(phoneNumber);
+    }
+    
+    const pairingCode = await instance.requestPairingCode();
+    
+    res.json({
+      success: true,
+      message: 'Ingresar el código en WhatsApp > Dispositivos vinculados > Vincular con el número de teléfono',
+      pairingCode: pairingCode.formatted,
+      expiresAt: pairingCode.expiresAt,
+      state: instance.connectionState,
+      phoneNumber: instance.phoneNumber
+    });
+  } catch (error) {
+    logger.error('Error generando código de vinculación:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reconexión manual: cancela la espera del backoff o la pausa del corte y reconecta ya
+app.post('/api/whatsapp/session/:phoneNumber/reconnect', authenticate, authorize('manage'), async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const cleanNumber = whatsappManager.cleanNumber(phoneNumber);
+    
+    if (!whatsappManager.instances.has(cleanNumber) && !(await whatsappManager.hasStoredSession(cleanNumber))) {
+      return res.status(404).json({
+        success: false,
+        error: 'La sesión no existe o no tiene credenciales guardadas - Vincular con QR o código'
+      });
+    }
+    
+    // Si no estaba cargada, getInstance ya la conecta
+    const wasLoaded = whatsappManager.instances.has(cleanNumber);
+    const instance = await whatsappManager.getInstance(cleanNumber);
+    const alreadyConnected = instance.isConnected;
+    
+    if (wasLoaded && !alreadyConnected) {
+      await instance.reconnectNow();
+    }
+    
+    res.json({
+      success: true,
+      message: alreadyConnected ? 'La sesión ya está conectada' : 'Reconexión iniciada',
+      state: instance.connectionState,
+      phoneNumber: instance.phoneNumber,
+      reconnectPolicy: whatsappManager.getReconnectPolicy(cleanNumber)
+    });
+  } catch (error) {
+    logger.error('Error reconectando sesión:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint de eventos en tiempo real (Server-Sent Events): estado, QR y mensajes entrantes
+app.get('/api/whatsapp/session/:phoneNumber/events', authenticate, authorize('status'), async (req, res) => {
+  try {
+    const instance = await whatsappManager.getInstance(req.params.phoneNumber);
+    const phoneNumber = instance.phoneNumber;
+    const canSeeQR = hasPermission(req, 'qr');
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    
+    let eventId = 0;
+    const send = (type, data) => {
+      res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    // Estado actual al conectarse
+    const state = instance.getConnectionState();
+    send('state', { state: state.state, previous: null, at: state.lastUpdate });
+    if (canSeeQR && instance.getQRCode()) {
+      send('qr', { qrCode: instance.getQRCode(), at: state.lastUpdate });
+    }
+    
+    // Si se suscribe esperando un QR, pedirlo (se genera con el próximo QR de WhatsApp)
+    // y seguir generando los nuevos mientras esté conectado
+    const unwatchQR = canSeeQR ? whatsappManager.watchQR(phoneNumber) : null;
+    if (canSeeQR && !state.isConnected) {
+      instance.requestQRCode();
+    }
+    
+    const listener = ({ type, data }) => {
+      if ((type === 'qr' || type === 'pairing_code') && !canSeeQR) {
+        return;
+      }
+      send(type, data);
+    };
+    whatsappManager.events.on(phoneNumber, listener);
+    
+    // Comentario periódico para que proxies no corten la conexión
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    
+    logger.info(`📡 Cliente suscrito a eventos de ${phoneNumber}`);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      whatsappManager.events.off(phoneNumber, listener);
+      unwatchQR?.();
+      logger.info(`📡 Cliente desuscrito de eventos de ${phoneNumber}`);
+    });
+  } catch (error) {
+    logger.error('Error iniciando stream de eventos:', error);
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Error interno del servidor'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // Endpoint para enviar mensaje desde una sesión específica
-app.post('/api/whatsapp/session/:phoneNumber/send-message', authenticate, async (req, res) => {
+// Envío que superó el límite de la sesión: encolar para cuando haya cupo (rateLimit.onLimit = "queue") o 429
+function respondRateLimited(res, instance, error, kind, payload, extra = {}) {
+  if (whatsappManager.rateLimiter.getOnLimit(instance.phoneNumber) === 'queue') {
+    const job = whatsappManager.outbox.enqueue(instance.phoneNumber, kind, payload, {
+      nextAttemptAt: new Date(Date.now() + error.retryAfterMs).toISOString()
+    });
+    
+    return res.status(202).json({
+      success: true,
+      queued: true,
+      jobId: job.id,
+      status: job.status,
+      nextAttemptAt: job.nextAttemptAt,
+      reason: error.message,
+      ...extra
+    });
+  }
+  
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: error.message,
+    retryAfter: error.retryAfter,
+    details: error.details,
+    ...extra
+  });
+}
+
+// Armar el mensaje a partir de un upload multipart: campos type, caption, fileName, mimetype + archivo "file"
+function messageFromUpload(req) {
+  const { type, caption, fileName, mimetype } = req.body;
+  const fileMimetype = req.file.mimetype;
+  const inferredType = ['image', 'video', 'audio'].find(kind => fileMimetype.startsWith(`${kind}/`)) || 'document';
+  
+  return {
+    type: type || inferredType,
+    // En base64 para que el mensaje se pueda guardar en la cola si la sesión no está conectada
+    data: req.file.buffer.toString('base64'),
+    mimetype: mimetype || fileMimetype,
+    fileName: fileName || req.file.originalname,
+    caption
+  };
+}
+
+app.post('/api/whatsapp/session/:phoneNumber/send-message', authenticate, authorize('send'), uploadMedia, idempotent(), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
-    const { to, message } = req.body;
+    const message = req.file ? messageFromUpload(req) : req.body.message;
+    const queue = req.body.queue === true || req.body.queue === 'true';
     
-    if (!to || !message) {
+    if (!req.body.to || !message) {
       return res.status(400).json({
         success: false,
-        error: 'Faltan parámetros requeridos: to, message'
+        error: 'Faltan parámetros requeridos: to, message (o un archivo multipart en "file")'
       });
     }
     
+    // Número en el formato de WhatsApp (acepta formato local con el país por defecto de la sesión)
+    const to = whatsappManager.normalizeRecipient(whatsappManager.cleanNumber(phoneNumber), req.body.to);
     const instance = await whatsappManager.getInstance(phoneNumber);
-    const result = await instance.sendMessage(to, message);
+    
+    // Si la sesión no está conectada (o se pide explícitamente), encolar para enviar luego
+    if (queue || !instance.isConnected) {
+      // Validar ahora para no encolar algo que nunca se va a poder enviar
+      buildMessageContent(message);
+      
+      const job = whatsappManager.outbox.enqueue(instance.phoneNumber, 'message', { to, message });
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        jobId: job.id,
+        status: job.status,
+        state: instance.connectionState
+      });
+    }
+    
+    let result;
+    try {
+      result = await instance.sendMessage(to, message);
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        return respondRateLimited(res, instance, error, 'message', { to, message });
+      }
+      throw error;
+    }
     
     res.json({
       success: true,
@@ -249,7 +695,7 @@ app.post('/api/whatsapp/session/:phoneNumber/send-message', authenticate, async
     });
   } catch (error) {
     logger.error('Error enviando mensaje:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -257,9 +703,39 @@ app.post('/api/whatsapp/session/:phoneNumber/send-message', authenticate, async
 });
 
 // Nuevo endpoint para listar todas las sesiones
-app.get('/api/whatsapp/sessions', authenticate, (req, res) => {
+app.get('/api/whatsapp/sessions', authenticate, authorize('status'), async (req, res) => {
   try {
-    const sessions = whatsappManager.getAllInstances();
+    const { all, tag } = req.query;
+    let sessions;
+    
+    if (all === 'true' || tag) {
+      // Todas las sesiones conocidas (cargadas, con credenciales o con configuración), con metadatos
+      const phoneNumbers = new Set([
+        ...whatsappManager.instances.keys(),
+        ...await whatsappManager.authStore.listSessions(),
+        ...Object.keys(whatsappManager.settings.getAll())
+      ]);
+      
+      sessions = {};
+      for (const phoneNumber of phoneNumbers) {
+        const session = await whatsappManager.describeSession(phoneNumber);
+        if (!tag || (session.metadata.tags || []).includes(tag)) {
+          sessions[phoneNumber] = session;
+        }
+      }
+    } else {
+      sessions = whatsappManager.getAllInstances();
+    }
+    
+    // Una API key solo ve las sesiones que tiene asignadas
+    if (!req.auth.admin) {
+      for (const phoneNumber of Object.keys(sessions)) {
+        if (!apiKeys.allowsPhone(req.auth.key, phoneNumber)) {
+          delete sessions[phoneNumber];
+        }
+      }
+    }
+    
     res.json({
       success: true,
       data: sessions
@@ -274,7 +750,7 @@ app.get('/api/whatsapp/sessions', authenticate, (req, res) => {
 });
 
 // Endpoint para cerrar una sesión específica
-app.delete('/api/whatsapp/session/:phoneNumber', authenticate, async (req, res) => {
+app.delete('/api/whatsapp/session/:phoneNumber', authenticate, authorize('delete'), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     await whatsappManager.closeInstance(phoneNumber);
@@ -292,109 +768,1193 @@ app.delete('/api/whatsapp/session/:phoneNumber', authenticate, async (req, res)
   }
 });
 
-// Endpoint para enviar templates de citas médicas
-app.post('/api/whatsapp/session/:phoneNumber/send-template', authenticate, async (req, res) => {
+// Cerrar sesión en WhatsApp: desvincula el dispositivo del teléfono y borra las credenciales
+app.post('/api/whatsapp/session/:phoneNumber/logout', authenticate, authorize('delete'), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
-    const { appointmentId, phone, messageType, appointmentData, confirmUrl, cancelUrl } = req.body;
-    
-    // Validar datos requeridos (confirmUrl y cancelUrl son opcionales)
-    if (!appointmentId || !phone || !messageType || !appointmentData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Faltan parámetros requeridos: appointmentId, phone, messageType, appointmentData',
-        appointmentId: appointmentId || null,
-        phone: phone || null
-      });
-    }
-    
-    // Validar messageType
-    const validMessageTypes = ['confirmation', 'reminder', 'urgent'];
-    if (!validMessageTypes.includes(messageType)) {
-      return res.status(400).json({
-        success: false,
-        error: `messageType debe ser uno de: ${validMessageTypes.join(', ')}`,
-        appointmentId,
-        phone
-      });
-    }
-    
-    // Validar appointmentData
-    const requiredFields = ['patientName', 'serviceName', 'professionalName', 'date', 'time', 'duration', 'locationName', 'locationAddress'];
-    const missingFields = requiredFields.filter(field => !appointmentData[field]);
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: `Faltan campos en appointmentData: ${missingFields.join(', ')}`,
-        appointmentId,
-        phone
-      });
-    }
-    
-    // Obtener instancia de WhatsApp
-    const instance = await whatsappManager.getInstance(phoneNumber);
-    
-    // Preparar datos del template (solo incluir URLs si están presentes)
-    const templateData = {
-      messageType,
-      appointmentData
-    };
-    
-    // Agregar URLs solo si están presentes
-    if (confirmUrl) {
-      templateData.confirmUrl = confirmUrl;
-    }
-    if (cancelUrl) {
-      templateData.cancelUrl = cancelUrl;
-    }
-    
-    // Enviar template
-    const result = await instance.sendTemplate(phone, templateData);
-    
-    // Logging
-    logger.info(`📋 Template enviado - ID: ${appointmentId}, Tipo: ${messageType}, Teléfono: ${phone}, Estado: éxito`);
+    await whatsappManager.logoutInstance(phoneNumber);
     
     res.json({
       success: true,
-      messageId: result.messageId,
-      phone: phone,
-      appointmentId: appointmentId,
-      messageType: messageType,
-      sentAt: new Date().toISOString()
+      message: `Sesión ${phoneNumber} desvinculada de WhatsApp y credenciales eliminadas`
     });
-    
   } catch (error) {
-    logger.error(`❌ Error enviando template - ID: ${req.body?.appointmentId}, Teléfono: ${req.body?.phone}, Error:`, error);
-    
-    res.status(500).json({
+    logger.error('Error cerrando sesión en WhatsApp:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message,
-      appointmentId: req.body?.appointmentId || null,
-      phone: req.body?.phone || null
+      error: error.message
     });
   }
 });
 
-// Manejo de errores
-app.use((err, req, res, next) => {
-  logger.error('Error no manejado:', err);
-  res.status(500).json({ error: 'Error interno del servidor' });
-});
-
-// 404
-app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint no encontrado' });
+// Borrar las credenciales guardadas sin avisar a WhatsApp (el dispositivo queda en la lista del teléfono)
+app.post('/api/whatsapp/session/:phoneNumber/wipe', authenticate, authorize('delete'), async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    await whatsappManager.removeInstanceCompletely(phoneNumber);
+    
+    res.json({
+      success: true,
+      message: `Credenciales de ${phoneNumber} eliminadas - Para volver a usarla hay que vincularla con QR o código`
+    });
+  } catch (error) {
+    logger.error('Error eliminando credenciales:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// Iniciar servidor
-async function startServer() {
+// Desactivar una sesión: se desconecta y no se restaura ni se conecta hasta habilitarla
+app.post('/api/whatsapp/session/:phoneNumber/disable', authenticate, authorize('manage'), async (req, res) => {
   try {
-    // Cargar instancias existentes - COMENTADO para evitar carga automática
-    // await whatsappManager.loadExistingInstances();
+    const { phoneNumber } = req.params;
+    await whatsappManager.disableInstance(phoneNumber);
     
-    app.listen(PORT, () => {
+    res.json({
+      success: true,
+      data: await whatsappManager.describeSession(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error desactivando sesión:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Habilitar una sesión desactivada ({ "connect": true } para conectarla enseguida)
+app.post('/api/whatsapp/session/:phoneNumber/enable', authenticate, authorize('manage'), async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    await whatsappManager.enableInstance(phoneNumber, { connect: req.body?.connect === true });
+    
+    res.json({
+      success: true,
+      data: await whatsappManager.describeSession(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error habilitando sesión:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Metadatos de la sesión (nombre de la clínica, id de location, etiquetas)
+app.get('/api/whatsapp/session/:phoneNumber/metadata', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    
+    res.json({
+      success: true,
+      data: whatsappManager.settings.getMetadata(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error obteniendo metadatos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Actualizar metadatos parcialmente (null elimina el campo)
+app.put('/api/whatsapp/session/:phoneNumber/metadata', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    
+    res.json({
+      success: true,
+      data: whatsappManager.settings.updateMetadata(phoneNumber, req.body)
+    });
+  } catch (error) {
+    logger.error('Error actualizando metadatos:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint para enviar templates de citas médicas
+app.post('/api/whatsapp/session/:phoneNumber/send-template', authenticate, authorize('send'), idempotent({ appointmentDedupe: true }), async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { appointmentId, messageType, queue, sendAt, sendBefore } = req.body;
+    
+    // Validar template, idioma y variables (responde 400 con el detalle si algo no cumple)
+    const sessionPhone = whatsappManager.cleanNumber(phoneNumber);
+    const templateData = whatsappManager.templates.buildTemplateData(sessionPhone, req.body);
+    const phone = whatsappManager.normalizeRecipient(sessionPhone, req.body.phone);
+    
+    // Opcional: no enviar a números que se sabe que no tienen WhatsApp (422)
+    const requireWhatsApp = req.body.requireWhatsApp ?? whatsappManager.settings.get(sessionPhone).requireWhatsApp;
+    if (requireWhatsApp) {
+      await whatsappManager.numberLookup.ensureExists(whatsappManager.instances.get(sessionPhone), phone);
+    }
+    
+    // Envío programado: guardar y responder sin enviar ahora
+    if (sendAt || sendBefore) {
+      const job = whatsappManager.scheduler.schedule(sessionPhone, {
+        appointmentId,
+        messageType,
+        phone,
+        templateData,
+        sendAt,
+        sendBefore
+      });
+      
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        scheduleId: job.id,
+        sendAt: job.sendAt,
+        phone: phone,
+        appointmentId: appointmentId,
+        messageType: messageType
+      });
+    }
+    
+    // Obtener instancia de WhatsApp
+    const instance = await whatsappManager.getInstance(phoneNumber);
+    
+    // Si la sesión no está conectada (o se pide explícitamente), encolar para enviar luego
+    if (queue === true || !instance.isConnected) {
+      const job = whatsappManager.outbox.enqueue(instance.phoneNumber, 'template', { phone, templateData });
+      
+      logger.info(`📋 Template encolado - ID: ${appointmentId}, Tipo: ${messageType}, Teléfono: ${phone}, Job: ${job.id}`);
+      
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        jobId: job.id,
+        status: job.status,
+        phone: phone,
+        appointmentId: appointmentId,
+        messageType: messageType,
+        state: instance.connectionState
+      });
+    }
+    
+    // Enviar template
+    let result;
+    try {
+      result = await instance.sendTemplate(phone, templateData);
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        return respondRateLimited(res, instance, error, 'template', { phone, templateData }, { phone, appointmentId, messageType });
+      }
+      throw error;
+    }
+    
+    // Logging
+    logger.info(`📋 Template enviado - ID: ${appointmentId}, Tipo: ${messageType}, Teléfono: ${phone}, Estado: éxito`);
+    
+    res.json({
+      success: true,
+      messageId: result.messageId,
+      phone: phone,
+      appointmentId: appointmentId,
+      messageType: messageType,
+      sentAt: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error(`❌ Error enviando template - ID: ${req.body?.appointmentId}, Teléfono: ${req.body?.phone}, Error:`, error);
+    
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      appointmentId: req.body?.appointmentId || null,
+      phone: req.body?.phone || null
+    });
+  }
+});
+
+// Endpoints de templates globales (compartidos por todas las sesiones)
+app.get('/api/whatsapp/templates', authenticate, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: whatsappManager.templates.list()
+    });
+  } catch (error) {
+    logger.error('Error listando templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+app.get('/api/whatsapp/templates/:name', authenticate, (req, res) => {
+  const template = whatsappManager.templates.get(req.params.name);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+app.put('/api/whatsapp/templates/:name', authenticate, requireAdmin, (req, res) => {
+  try {
+    const template = whatsappManager.templates.save(req.params.name, req.body);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Error guardando template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || undefined
+    });
+  }
+});
+
+app.delete('/api/whatsapp/templates/:name', authenticate, requireAdmin, (req, res) => {
+  try {
+    if (!whatsappManager.templates.remove(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template personalizado no encontrado (los templates incluidos no se pueden eliminar)'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Template ${req.params.name} eliminado`
+    });
+  } catch (error) {
+    logger.error('Error eliminando template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoints de templates por sesión (personalización de cada clínica)
+app.get('/api/whatsapp/session/:phoneNumber/templates', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+
+    res.json({
+      success: true,
+      data: whatsappManager.templates.list(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error listando templates de sesión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+app.put('/api/whatsapp/session/:phoneNumber/templates/:name', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const template = whatsappManager.templates.save(req.params.name, req.body, phoneNumber);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Error guardando template de sesión:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || undefined
+    });
+  }
+});
+
+app.delete('/api/whatsapp/session/:phoneNumber/templates/:name', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+
+    if (!whatsappManager.templates.remove(req.params.name, phoneNumber)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template no encontrado para esta sesión'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Template ${req.params.name} eliminado para ${phoneNumber}`
+    });
+  } catch (error) {
+    logger.error('Error eliminando template de sesión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para listar mensajes en cola de una sesión (?status=queued|sent|failed|cancelled)
+app.get('/api/whatsapp/session/:phoneNumber/outbox', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const jobs = whatsappManager.outbox.list(phoneNumber, req.query.status || null);
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Error listando outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para consultar un mensaje encolado
+app.get('/api/whatsapp/session/:phoneNumber/outbox/:jobId', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const job = whatsappManager.outbox.get(phoneNumber, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error obteniendo job del outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para cancelar un mensaje encolado que todavía no se envió
+app.delete('/api/whatsapp/session/:phoneNumber/outbox/:jobId', authenticate, authorize('send'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const job = whatsappManager.outbox.cancel(phoneNumber, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job no encontrado o ya procesado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error cancelando job del outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para listar envíos programados (?appointmentId=&status=scheduled|fired|cancelled|expired)
+app.get('/api/whatsapp/session/:phoneNumber/scheduled', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const jobs = whatsappManager.scheduler.list(phoneNumber, {
+      appointmentId: req.query.appointmentId || null,
+      status: req.query.status || null
+    });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Error listando envíos programados:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para reprogramar los envíos pendientes de una cita
+app.put('/api/whatsapp/session/:phoneNumber/scheduled/:appointmentId', authenticate, authorize('send'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { appointmentId } = req.params;
+    const { messageType, sendAt, sendBefore, appointmentData } = req.body;
+
+    if (!sendAt && !sendBefore && !appointmentData) {
+      return res.status(400).json({
+        success: false,
+        error: 'Indicar al menos uno de: sendAt, sendBefore, appointmentData',
+        appointmentId
+      });
+    }
+
+    const jobs = whatsappManager.scheduler.reschedule(phoneNumber, appointmentId, {
+      messageType,
+      sendAt,
+      sendBefore,
+      appointmentData
+    });
+
+    if (jobs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No hay envíos pendientes para esta cita',
+        appointmentId
+      });
+    }
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Error reprogramando envíos:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      appointmentId: req.params.appointmentId
+    });
+  }
+});
+
+// Endpoint para cancelar los envíos pendientes de una cita (?messageType= para cancelar solo uno)
+app.delete('/api/whatsapp/session/:phoneNumber/scheduled/:appointmentId', authenticate, authorize('send'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { appointmentId } = req.params;
+    const jobs = whatsappManager.scheduler.cancel(phoneNumber, appointmentId, req.query.messageType || null);
+
+    if (jobs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No hay envíos pendientes para esta cita',
+        appointmentId
+      });
+    }
+
+    res.json({
+      success: true,
+      cancelled: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Error cancelando envíos programados:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Verificar si un número tiene WhatsApp (?refresh=true para ignorar el resultado guardado)
+app.get('/api/whatsapp/session/:phoneNumber/check/:to', authenticate, authorize('status'), async (req, res) => {
+  try {
+    const instance = await whatsappManager.getInstance(req.params.phoneNumber);
+    const [result] = await whatsappManager.numberLookup.check(instance, [req.params.to], {
+      refresh: req.query.refresh === 'true',
+      normalize: number => whatsappManager.normalizeRecipient(instance.phoneNumber, number)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error verificando número:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Verificar varios números de una vez: { "numbers": ["549...", "549..."], "refresh": false }
+app.post('/api/whatsapp/session/:phoneNumber/check', authenticate, authorize('status'), async (req, res) => {
+  try {
+    const { numbers, refresh } = req.body;
+    const instance = await whatsappManager.getInstance(req.params.phoneNumber);
+    const results = await whatsappManager.numberLookup.check(instance, numbers, {
+      refresh: refresh === true,
+      normalize: number => whatsappManager.normalizeRecipient(instance.phoneNumber, number)
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error verificando números:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Envío masivo: muchos destinatarios en un lote, enviados de a uno al ritmo del límite de envíos de la sesión
+// (configuración "rateLimit": minIntervalMs, jitterMs, perMinute...)
+app.post('/api/whatsapp/session/:phoneNumber/broadcast', authenticate, authorize('send'), idempotent(), async (req, res) => {
+  try {
+    const instance = await whatsappManager.getInstance(req.params.phoneNumber);
+    const batch = whatsappManager.broadcasts.create(instance.phoneNumber, req.body);
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      state: instance.connectionState,
+      data: batch
+    });
+  } catch (error) {
+    logger.error('Error creando envío masivo:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || undefined
+    });
+  }
+});
+
+app.get('/api/whatsapp/session/:phoneNumber/broadcasts', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+
+    res.json({
+      success: true,
+      data: whatsappManager.broadcasts.list(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error listando envíos masivos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Progreso y resultado por destinatario (messageId o error) de un envío masivo
+app.get('/api/whatsapp/session/:phoneNumber/broadcast/:batchId', authenticate, authorize('status'), (req, res) => {
+  const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+  const batch = whatsappManager.broadcasts.get(phoneNumber, req.params.batchId);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Envío masivo no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: batch
+  });
+});
+
+// Cancelar los mensajes de un envío masivo que todavía no se enviaron
+app.delete('/api/whatsapp/session/:phoneNumber/broadcast/:batchId', authenticate, authorize('send'), (req, res) => {
+  const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+  const batch = whatsappManager.broadcasts.cancel(phoneNumber, req.params.batchId);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Envío masivo no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: batch
+  });
+});
+
+// Endpoint para consultar el estado de entrega/lectura de un mensaje enviado
+app.get('/api/whatsapp/session/:phoneNumber/messages/:messageId', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const record = whatsappManager.messageTracker.get(phoneNumber, req.params.messageId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Error obteniendo estado de mensaje:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Historial de mensajes enviados y recibidos (?peer=&appointmentId=&direction=in|out&since=&until=&limit=&cursor=)
+app.get('/api/whatsapp/session/:phoneNumber/history', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { peer, appointmentId, direction, since, until, limit, cursor } = req.query;
+    const filters = { appointmentId, direction, since, until, limit, cursor };
+    
+    if (peer) {
+      filters.peer = whatsappManager.normalizeRecipient(phoneNumber, peer);
+    }
+    
+    res.json({
+      success: true,
+      ...whatsappManager.history.query(phoneNumber, filters)
+    });
+  } catch (error) {
+    logger.error('Error consultando historial:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Conversaciones de la sesión: un resumen por paciente con el último mensaje
+app.get('/api/whatsapp/session/:phoneNumber/conversations', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    
+    res.json({
+      success: true,
+      data: whatsappManager.history.listConversations(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error listando conversaciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Conversación con un paciente, del mensaje más nuevo al más viejo (?since=&until=&limit=&cursor=)
+app.get('/api/whatsapp/session/:phoneNumber/conversations/:peer', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const peer = whatsappManager.normalizeRecipient(phoneNumber, req.params.peer);
+    const { since, until, limit, cursor } = req.query;
+    
+    res.json({
+      success: true,
+      peer,
+      ...whatsappManager.history.query(phoneNumber, { peer, since, until, limit, cursor })
+    });
+  } catch (error) {
+    logger.error('Error consultando conversación:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Mensajes de un turno (el template enviado y las respuestas que lo citan)
+app.get('/api/whatsapp/session/:phoneNumber/appointments/:appointmentId/messages', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { limit, cursor } = req.query;
+    
+    res.json({
+      success: true,
+      appointmentId: req.params.appointmentId,
+      ...whatsappManager.history.query(phoneNumber, { appointmentId: req.params.appointmentId, limit, cursor })
+    });
+  } catch (error) {
+    logger.error('Error consultando mensajes del turno:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint para ver la configuración de una sesión (idioma, zona horaria)
+app.get('/api/whatsapp/session/:phoneNumber/settings', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+
+    res.json({
+      success: true,
+      data: whatsappManager.settings.getEditable(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error obteniendo configuración:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para actualizar la configuración de una sesión (null restablece el valor por defecto)
+app.put('/api/whatsapp/session/:phoneNumber/settings', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    whatsappManager.settings.updateEditable(phoneNumber, req.body);
+
+    res.json({
+      success: true,
+      data: whatsappManager.settings.getEditable(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error actualizando configuración:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Matriz de capacidades: qué formatos interactivos (botones, listas, encuestas) funcionan en la sesión
+app.get('/api/whatsapp/session/:phoneNumber/capabilities', authenticate, authorize('status'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const instance = whatsappManager.instances.get(phoneNumber);
+
+    res.json({
+      success: true,
+      isBusinessAccount: instance ? instance.isBusinessAccount : null,
+      data: whatsappManager.capabilities.get(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error obteniendo capacidades:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Olvidar lo aprendido para volver a probar los formatos (?format=buttons para uno solo)
+app.delete('/api/whatsapp/session/:phoneNumber/capabilities', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { format } = req.query;
+
+    if (format && !INTERACTIVE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format debe ser uno de: ${INTERACTIVE_FORMATS.join(', ')}`
+      });
+    }
+
+    whatsappManager.capabilities.reset(phoneNumber, format || null);
+
+    res.json({
+      success: true,
+      data: whatsappManager.capabilities.get(phoneNumber)
+    });
+  } catch (error) {
+    logger.error('Error reiniciando capacidades:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint para ver la configuración de webhook de una sesión
+app.get('/api/whatsapp/session/:phoneNumber/webhook', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { webhook } = whatsappManager.settings.get(phoneNumber);
+
+    res.json({
+      success: true,
+      data: {
+        url: webhook?.url || null,
+        hasSecret: !!webhook?.secret,
+        includeQR: webhook?.includeQR === true,
+        usingDefault: !webhook?.url && !!process.env.WEBHOOK_URL
+      }
+    });
+  } catch (error) {
+    logger.error('Error obteniendo webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para configurar el webhook de mensajes entrantes de una sesión
+app.put('/api/whatsapp/session/:phoneNumber/webhook', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    const { url, secret } = req.body;
+    // El webhook de la sesión recibe session.qr solo si lo configura alguien con permiso "qr"
+    const includeQR = hasPermission(req, 'qr');
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Parámetro url inválido: debe ser una URL http(s)'
+      });
+    }
+
+    whatsappManager.settings.update(phoneNumber, {
+      webhook: { url: parsedUrl.toString(), secret: secret || null, includeQR }
+    });
+
+    logger.info(`🔗 Webhook configurado para ${phoneNumber}: ${parsedUrl.origin}`);
+
+    res.json({
+      success: true,
+      data: {
+        url: parsedUrl.toString(),
+        hasSecret: !!secret,
+        includeQR
+      }
+    });
+  } catch (error) {
+    logger.error('Error configurando webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para eliminar el webhook de una sesión
+app.delete('/api/whatsapp/session/:phoneNumber/webhook', authenticate, authorize('manage'), (req, res) => {
+  try {
+    const phoneNumber = whatsappManager.cleanNumber(req.params.phoneNumber);
+    whatsappManager.settings.update(phoneNumber, { webhook: null });
+
+    res.json({
+      success: true,
+      message: `Webhook eliminado para ${phoneNumber}`
+    });
+  } catch (error) {
+    logger.error('Error eliminando webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// 🔗 Suscripciones de webhooks: varios endpoints por sesión (permiso manage) o globales (token del entorno),
+// cada uno con sus eventos y su secreto de firma. Los handlers se comparten entre ambos alcances:
+// desde una sesión solo se ven sus suscripciones y entregas; desde el alcance global, todas.
+const webhookScope = req => req.params.phoneNumber ? whatsappManager.cleanNumber(req.params.phoneNumber) : undefined;
+
+function sendWebhookError(res, message, error) {
+  logger.error(message, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+function listWebhookSubscriptions(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: whatsappManager.webhooks.listSubscriptions(webhookScope(req))
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error listando suscripciones de webhook:', error);
+  }
+}
+
+function createWebhookSubscription(req, res) {
+  try {
+    const { url, events, description, secret } = req.body;
+    const created = whatsappManager.webhooks.createSubscription(webhookScope(req) || null, { url, events, description, secret }, {
+      canReceiveQR: hasPermission(req, 'qr')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Guardar el secreto ahora: no se vuelve a mostrar',
+      data: created
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error creando suscripción de webhook:', error);
+  }
+}
+
+function getWebhookSubscription(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: whatsappManager.webhooks.getSubscription(req.params.subscriptionId, webhookScope(req))
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error obteniendo suscripción de webhook:', error);
+  }
+}
+
+function updateWebhookSubscription(req, res) {
+  try {
+    const { url, events, description, active } = req.body;
+
+    res.json({
+      success: true,
+      data: whatsappManager.webhooks.updateSubscription(req.params.subscriptionId, webhookScope(req), { url, events, description, active }, {
+        canReceiveQR: hasPermission(req, 'qr')
+      })
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error actualizando suscripción de webhook:', error);
+  }
+}
+
+function rotateWebhookSecret(req, res) {
+  try {
+    res.json({
+      success: true,
+      message: 'Guardar el secreto nuevo ahora: el anterior dejó de usarse',
+      data: whatsappManager.webhooks.rotateSecret(req.params.subscriptionId, webhookScope(req))
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error rotando secreto de webhook:', error);
+  }
+}
+
+function deleteWebhookSubscription(req, res) {
+  try {
+    whatsappManager.webhooks.removeSubscription(req.params.subscriptionId, webhookScope(req));
+
+    res.json({
+      success: true,
+      message: 'Suscripción eliminada'
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error eliminando suscripción de webhook:', error);
+  }
+}
+
+// Entregas recientes (?status=failed&event=&subscriptionId=&limit=)
+function listWebhookDeliveries(req, res) {
+  try {
+    const { status, event, subscriptionId, limit } = req.query;
+
+    res.json({
+      success: true,
+      data: whatsappManager.webhooks.listDeliveries(webhookScope(req), { status, event, subscriptionId, limit })
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error listando entregas de webhook:', error);
+  }
+}
+
+function getWebhookDelivery(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: whatsappManager.webhooks.getDelivery(req.params.deliveryId, webhookScope(req))
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error obteniendo entrega de webhook:', error);
+  }
+}
+
+function replayWebhookDelivery(req, res) {
+  try {
+    res.status(202).json({
+      success: true,
+      message: 'Reenvío en curso',
+      data: whatsappManager.webhooks.replay(req.params.deliveryId, webhookScope(req))
+    });
+  } catch (error) {
+    sendWebhookError(res, 'Error reenviando webhook:', error);
+  }
+}
+
+app.get('/api/whatsapp/webhooks/events', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: WEBHOOK_EVENTS
+  });
+});
+
+const sessionWebhooks = '/api/whatsapp/session/:phoneNumber/webhooks';
+const sessionManage = [authenticate, authorize('manage')];
+app.get(`${sessionWebhooks}/subscriptions`, sessionManage, listWebhookSubscriptions);
+app.post(`${sessionWebhooks}/subscriptions`, sessionManage, createWebhookSubscription);
+app.get(`${sessionWebhooks}/subscriptions/:subscriptionId`, sessionManage, getWebhookSubscription);
+app.put(`${sessionWebhooks}/subscriptions/:subscriptionId`, sessionManage, updateWebhookSubscription);
+app.post(`${sessionWebhooks}/subscriptions/:subscriptionId/rotate-secret`, sessionManage, rotateWebhookSecret);
+app.delete(`${sessionWebhooks}/subscriptions/:subscriptionId`, sessionManage, deleteWebhookSubscription);
+app.get(`${sessionWebhooks}/deliveries`, sessionManage, listWebhookDeliveries);
+app.get(`${sessionWebhooks}/deliveries/:deliveryId`, sessionManage, getWebhookDelivery);
+app.post(`${sessionWebhooks}/deliveries/:deliveryId/replay`, sessionManage, replayWebhookDelivery);
+
+const globalWebhooks = '/api/whatsapp/webhooks';
+const adminOnly = [authenticate, requireAdmin];
+app.get(`${globalWebhooks}/subscriptions`, adminOnly, listWebhookSubscriptions);
+app.post(`${globalWebhooks}/subscriptions`, adminOnly, createWebhookSubscription);
+app.get(`${globalWebhooks}/subscriptions/:subscriptionId`, adminOnly, getWebhookSubscription);
+app.put(`${globalWebhooks}/subscriptions/:subscriptionId`, adminOnly, updateWebhookSubscription);
+app.post(`${globalWebhooks}/subscriptions/:subscriptionId/rotate-secret`, adminOnly, rotateWebhookSecret);
+app.delete(`${globalWebhooks}/subscriptions/:subscriptionId`, adminOnly, deleteWebhookSubscription);
+app.get(`${globalWebhooks}/deliveries`, adminOnly, listWebhookDeliveries);
+app.get(`${globalWebhooks}/deliveries/:deliveryId`, adminOnly, getWebhookDelivery);
+app.post(`${globalWebhooks}/deliveries/:deliveryId/replay`, adminOnly, replayWebhookDelivery);
+
+// 🔑 Administración de API keys (solo con el token del entorno)
+app.get('/api/admin/api-keys', authenticate, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: apiKeys.list(),
+    permissions: PERMISSIONS
+  });
+});
+
+app.post('/api/admin/api-keys', authenticate, requireAdmin, (req, res) => {
+  try {
+    const { name, phoneNumbers, permissions } = req.body;
+    const created = apiKeys.create({ name, phoneNumbers, permissions });
+
+    res.status(201).json({
+      success: true,
+      message: 'Guardar la key ahora: no se vuelve a mostrar',
+      data: created
+    });
+  } catch (error) {
+    logger.error('Error creando API key:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/api-keys/:id', authenticate, requireAdmin, (req, res) => {
+  try {
+    const updated = apiKeys.update(req.params.id, req.body);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key no encontrada o revocada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error actualizando API key:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/api-keys/:id/rotate', authenticate, requireAdmin, (req, res) => {
+  const rotated = apiKeys.rotate(req.params.id);
+
+  if (!rotated) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key no encontrada o revocada'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Guardar la key nueva ahora: la anterior dejó de funcionar',
+    data: rotated
+  });
+});
+
+app.delete('/api/admin/api-keys/:id', authenticate, requireAdmin, (req, res) => {
+  const revoked = apiKeys.revoke(req.params.id);
+
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key no encontrada o ya revocada'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: revoked
+  });
+});
+
+// Manejo de errores
+app.use((err, req, res, next) => {
+  // Errores del body (JSON inválido, body demasiado grande) traen su propio status
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: `El body supera el máximo permitido (${BODY_LIMIT})` });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'JSON inválido' });
+  }
+  
+  logger.error('Error no manejado:', err);
+  res.status(500).json({ error: 'Error interno del servidor', requestId: req.requestId });
+});
+
+// 404
+app.use((req, res) => {
+  res.status(404).json({ error: 'Endpoint no encontrado' });
+});
+
+// Iniciar servidor
+async function startServer() {
+  try {
+    // Procesar mensajes en cola (incluye los que quedaron pendientes antes de reiniciar)
+    whatsappManager.outbox.start();
+    
+    // Scheduler de envíos programados (dispara los atrasados durante la caída)
+    whatsappManager.scheduler.start();
+    
+    app.listen(PORT, () => {
       logger.info(`🚀 Servidor iniciado en puerto ${PORT}`);
+      
+      // Restaurar sesiones guardadas de a pocas (AUTO_RESTORE=false para desactivar); el progreso se ve en /api/health
+      whatsappManager.loadExistingInstances();
     });
   } catch (error) {
     logger.error('Error iniciando servidor:', error);
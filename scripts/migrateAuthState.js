@@ -0,0 +1,89 @@
+import 'dotenv/config';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createAuthStore, AUTH_STORE_TYPES } from '../services/authStore.js';
+
+// Copiar las sesiones de las carpetas auth_info_baileys al auth store configurado.
+//   npm run migrate:auth -- --to postgres [--from ./auth_info_baileys] [--session 5492346505040] [--overwrite] [--dry-run]
+// El destino usa la misma configuración que el servicio (AUTH_STORE_URL, DATABASE_URL, REDIS_URL, AUTH_SQLITE_PATH...).
+
+const { values: options } = parseArgs({
+  options: {
+    from: { type: 'string', default: process.env.AUTH_DATA_DIR || './auth_info_baileys' },
+    to: { type: 'string', default: process.env.AUTH_STORE },
+    session: { type: 'string', multiple: true },
+    overwrite: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+async function migrate() {
+  if (!options.to || !AUTH_STORE_TYPES.includes(options.to) || options.to === 'memory') {
+    throw new Error(`Indicar el destino con --to o AUTH_STORE (${AUTH_STORE_TYPES.filter(type => type !== 'memory').join(', ')})`);
+  }
+
+  const source = createAuthStore('file', { dir: options.from });
+  const target = createAuthStore(options.to);
+
+  if (target.type === 'file' && path.resolve(target.baseDir) === path.resolve(source.baseDir)) {
+    throw new Error('El origen y el destino son la misma carpeta');
+  }
+
+  console.log(`📦 Migrando sesiones de ${source.describe()} a ${target.describe()}${options['dry-run'] ? ' (simulación)' : ''}`);
+
+  // Conectar antes de empezar para fallar una sola vez si falta el driver o la base no responde
+  if (target.ready) {
+    await target.ready();
+  }
+
+  const sessions = options.session || await source.listSessions();
+  const summary = { migrated: 0, skipped: 0, failed: 0 };
+
+  try {
+    for (const session of sessions) {
+      try {
+        if (!(await source.hasSession(session))) {
+          console.log(`⚠️ ${session}: no tiene creds.json en ${options.from}, se omite`);
+          summary.skipped++;
+          continue;
+        }
+
+        if (await target.hasSession(session) && !options.overwrite) {
+          console.log(`⏭️ ${session}: ya existe en el destino (usar --overwrite para reemplazarla)`);
+          summary.skipped++;
+          continue;
+        }
+
+        const keys = await source.listKeys(session);
+
+        if (!options['dry-run']) {
+          // Reemplazar la sesión entera para no mezclar claves viejas con las nuevas
+          await target.removeSession(session);
+          for (const key of keys) {
+            await target.write(session, key, await source.read(session, key));
+          }
+        }
+
+        console.log(`✅ ${session}: ${keys.length} claves`);
+        summary.migrated++;
+      } catch (error) {
+        console.log(`❌ ${session}: ${error.message}`);
+        summary.failed++;
+      }
+    }
+  } finally {
+    await target.close();
+  }
+
+  console.log(`📊 Migradas: ${summary.migrated}, omitidas: ${summary.skipped}, con error: ${summary.failed}`);
+  console.log('ℹ️ Las carpetas originales no se borran; para usar el destino configurar AUTH_STORE y reiniciar el servicio');
+
+  return summary.failed === 0;
+}
+
+migrate()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
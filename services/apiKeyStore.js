@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Permisos que se pueden otorgar a una API key
+export const PERMISSIONS = {
+  status: 'Consultar estado de sesión, mensajes, colas y envíos programados',
+  qr: 'Obtener QR / código de vinculación',
+  send: 'Enviar mensajes y templates, cancelar o reprogramar envíos',
+  delete: 'Cerrar, desvincular o eliminar la sesión y sus credenciales',
+  manage: 'Configurar la sesión (idioma, webhook, templates propios, metadatos, desactivar)'
+};
+
+const KEY_PREFIX = 'wsk_';
+
+function hashKey(plainKey) {
+  return crypto.createHash('sha256').update(plainKey).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// API keys emitidas a integraciones: se guardan solo hasheadas,
+// cada una limitada a ciertos números de sesión y permisos
+class ApiKeyStore {
+  constructor() {
+    this.store = new JsonStore('api-keys.json', { keys: {} });
+  }
+
+  // Datos públicos de una key (sin el hash)
+  toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  validateScopes({ phoneNumbers, permissions }) {
+    const errors = [];
+
+    if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+      errors.push('phoneNumbers debe ser una lista de números (o ["*"] para todos)');
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      errors.push(`permissions debe ser una lista con: ${Object.keys(PERMISSIONS).join(', ')}`);
+    } else {
+      const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+      if (unknown.length > 0) {
+        errors.push(`Permisos desconocidos: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors.join('; '), errors);
+    }
+  }
+
+  // Crear una key nueva. La key en texto plano solo se devuelve en este momento.
+  create({ name, phoneNumbers, permissions }) {
+    this.validateScopes({ phoneNumbers, permissions });
+
+    const plainKey = generateKey();
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      name: name || 'Sin nombre',
+      hash: hashKey(plainKey),
+      prefix: plainKey.slice(0, KEY_PREFIX.length + 6),
+      phoneNumbers: phoneNumbers.map(phone => phone === '*' ? '*' : String(phone).replace(/[^0-9]/g, '')),
+      permissions,
+      createdAt: now,
+      rotatedAt: null,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    const data = this.store.load();
+    data.keys[record.id] = record;
+    this.store.saveNow();
+
+    logger.info(`🔑 API key creada: ${record.name} (${record.prefix}...)`);
+    return { key: plainKey, ...this.toPublic(record) };
+  }
+
+  list() {
+    return Object.values(this.store.load().keys).map(record => this.toPublic(record));
+  }
+
+  get(id) {
+    const record = this.store.load().keys[id];
+    return record ? this.toPublic(record) : null;
+  }
+
+  // Actualizar nombre, números o permisos de una key
+  update(id, changes) {
+    const record = this.store.load().keys[id];
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const updated = {
+      name: changes.name ?? record.name,
+      phoneNumbers: changes.phoneNumbers ?? record.phoneNumbers,
+      permissions: changes.permissions ?? record.permissions
+    };
+    this.validateScopes(updated);
+
+    Object.assign(record, updated, {
+      phoneNumbers: updated.phoneNumbers.map(phone => phone === '*' ? '*' : String(phone).replace(/[^0-9]/g, ''))
+    });
+    this.store.saveNow();
+
+    return this.toPublic(record);
+  }
+
+  revoke(id) {
+    const record = this.store.load().keys[id];
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    record.revokedAt = new Date().toISOString();
+    this.store.saveNow();
+
+    logger.info(`🚫 API key revocada: ${record.name} (${record.prefix}...)`);
+    return this.toPublic(record);
+  }
+
+  // Generar un secreto nuevo para la key (el anterior deja de funcionar)
+  rotate(id) {
+    const record = this.store.load().keys[id];
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const plainKey = generateKey();
+    record.hash = hashKey(plainKey);
+    record.prefix = plainKey.slice(0, KEY_PREFIX.length + 6);
+    record.rotatedAt = new Date().toISOString();
+    this.store.saveNow();
+
+    logger.info(`🔄 API key rotada: ${record.name} (${record.prefix}...)`);
+    return { key: plainKey, ...this.toPublic(record) };
+  }
+
+  // Buscar la key activa correspondiente al token recibido
+  verify(plainKey) {
+    if (!plainKey || !plainKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const hash = hashKey(plainKey);
+    const record = Object.values(this.store.load().keys).find(key =>
+      !key.revokedAt && crypto.timingSafeEqual(Buffer.from(key.hash), Buffer.from(hash)));
+
+    if (!record) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    this.store.save(1000);
+
+    return record;
+  }
+
+  // Verificar si una key puede operar sobre un número de sesión
+  allowsPhone(record, phoneNumber) {
+    return record.phoneNumbers.includes('*') || record.phoneNumbers.includes(phoneNumber);
+  }
+
+  allows(record, permission) {
+    return record.permissions.includes(permission);
+  }
+}
+
+export default ApiKeyStore;
@@ -0,0 +1,58 @@
+import { initAuthCreds, BufferJSON, proto } from '@whiskeysockets/baileys';
+import logger from '../utils/logger.js';
+import { authKey } from './authStore.js';
+
+// Estado de autenticación de Baileys sobre cualquier auth store (equivalente a useMultiFileAuthState).
+// Los errores del almacenamiento se propagan: si no se pudo leer, no hay que generar credenciales nuevas
+// y pisar las guardadas.
+export async function useStoredAuthState(store, session) {
+  const readData = async name => {
+    const value = await store.read(session, authKey(name));
+    if (value === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value, BufferJSON.reviver);
+    } catch (error) {
+      logger.warn(`⚠️ Clave de auth corrupta para ${session} (${name}), se ignora`);
+      return null;
+    }
+  };
+
+  const writeData = (name, data) => store.write(session, authKey(name), JSON.stringify(data, BufferJSON.replacer));
+  const removeData = name => store.remove(session, authKey(name));
+
+  const creds = await readData('creds') || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async id => {
+            let value = await readData(`${type}-${id}`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async data => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const name = `${category}-${id}`;
+              tasks.push(value ? writeData(name, value) : removeData(name));
+            }
+          }
+          await Promise.all(tasks);
+        }
+      }
+    },
+    saveCreds: () => writeData('creds', creds)
+  };
+}
@@ -0,0 +1,490 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { DATA_DIR } from '../utils/jsonStore.js';
+
+// Almacenamiento de las credenciales de Baileys (creds y claves de Signal) por sesión.
+// Todas las implementaciones guardan texto JSON por (sesión, clave) con la misma interfaz:
+//   read(session, key) -> string | null     write(session, key, value)     remove(session, key)
+//   listKeys(session)   listSessions()       hasSession(session)             removeSession(session)   close()
+// Se elige con AUTH_STORE: file (por defecto), sqlite, postgres, redis o memory.
+
+export const AUTH_STORE_TYPES = ['file', 'sqlite', 'postgres', 'redis', 'memory'];
+
+const CREDS_KEY = 'creds';
+
+// Nombre de clave válido como nombre de archivo (mismo criterio que useMultiFileAuthState,
+// así las carpetas existentes se leen sin cambios)
+export function authKey(name) {
+  return String(name).replace(/\//g, '__').replace(/:/g, '-');
+}
+
+// Los drivers de base de datos son opcionales: solo se cargan si se usa ese almacenamiento
+async function importDriver(packageName, type) {
+  try {
+    return await import(packageName);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(`AUTH_STORE=${type} requiere el paquete "${packageName}" (npm install ${packageName})`);
+    }
+    throw error;
+  }
+}
+
+// Una carpeta por sesión con un archivo JSON por clave (formato de auth_info_baileys)
+export class FileAuthStore {
+  constructor(baseDir) {
+    this.type = 'file';
+    this.baseDir = baseDir;
+    this.locks = new Map(); // archivo -> promesa de la última operación
+
+    if (!fs.existsSync(this.baseDir)) {
+      fs.mkdirSync(this.baseDir, { recursive: true });
+      logger.info(`Created auth directory: ${this.baseDir}`);
+    }
+  }
+
+  describe() {
+    return `archivos en ${this.baseDir}`;
+  }
+
+  sessionDir(session) {
+    return path.join(this.baseDir, session);
+  }
+
+  filePath(session, key) {
+    return path.join(this.sessionDir(session), `${key}.json`);
+  }
+
+  // Serializar las operaciones sobre un mismo archivo
+  withLock(filePath, operation) {
+    const previous = this.locks.get(filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    this.locks.set(filePath, current);
+    current.finally(() => {
+      if (this.locks.get(filePath) === current) {
+        this.locks.delete(filePath);
+      }
+    }).catch(() => {});
+    return current;
+  }
+
+  async read(session, key) {
+    const filePath = this.filePath(session, key);
+    try {
+      return await this.withLock(filePath, () => fs.promises.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(session, key, value) {
+    const filePath = this.filePath(session, key);
+    await this.withLock(filePath, async () => {
+      await fs.promises.mkdir(this.sessionDir(session), { recursive: true });
+      await fs.promises.writeFile(filePath, value);
+    });
+  }
+
+  async remove(session, key) {
+    const filePath = this.filePath(session, key);
+    await this.withLock(filePath, () => fs.promises.rm(filePath, { force: true }));
+  }
+
+  async listKeys(session) {
+    try {
+      const files = await fs.promises.readdir(this.sessionDir(session));
+      return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async hasSession(session) {
+    return fs.existsSync(this.filePath(session, CREDS_KEY));
+  }
+
+  async listSessions() {
+    const entries = await fs.promises.readdir(this.baseDir, { withFileTypes: true });
+    const sessions = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    const withCreds = await Promise.all(sessions.map(session => this.hasSession(session)));
+    return sessions.filter((session, index) => withCreds[index]);
+  }
+
+  async removeSession(session) {
+    await fs.promises.rm(this.sessionDir(session), { recursive: true, force: true });
+  }
+
+  async close() {}
+}
+
+// En memoria: para pruebas y desarrollo (se pierde al reiniciar)
+export class MemoryAuthStore {
+  constructor() {
+    this.type = 'memory';
+    this.sessions = new Map(); // session -> Map(key -> value)
+  }
+
+  describe() {
+    return 'memoria (no persiste entre reinicios)';
+  }
+
+  getSession(session) {
+    if (!this.sessions.has(session)) {
+      this.sessions.set(session, new Map());
+    }
+    return this.sessions.get(session);
+  }
+
+  async read(session, key) {
+    return this.sessions.get(session)?.get(key) ?? null;
+  }
+
+  async write(session, key, value) {
+    this.getSession(session).set(key, value);
+  }
+
+  async remove(session, key) {
+    this.sessions.get(session)?.delete(key);
+  }
+
+  async listKeys(session) {
+    return [...(this.sessions.get(session)?.keys() || [])];
+  }
+
+  async hasSession(session) {
+    return !!this.sessions.get(session)?.has(CREDS_KEY);
+  }
+
+  async listSessions() {
+    return [...this.sessions.keys()].filter(session => this.sessions.get(session).has(CREDS_KEY));
+  }
+
+  async removeSession(session) {
+    this.sessions.delete(session);
+  }
+
+  async close() {}
+}
+
+// Nombre de tabla configurable, validado porque va dentro del SQL
+function tableName(name) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) {
+    throw new Error(`Nombre de tabla inválido para AUTH_STORE_TABLE: ${name}`);
+  }
+  return name;
+}
+
+// SQLite (better-sqlite3): un archivo local, útil cuando el volumen se comparte o se respalda
+export class SqliteAuthStore {
+  constructor(filePath, table = 'whatsapp_auth_state') {
+    this.type = 'sqlite';
+    this.filePath = filePath;
+    this.table = tableName(table);
+    this.db = null;
+    this.connecting = null;
+  }
+
+  describe() {
+    return `SQLite en ${this.filePath}`;
+  }
+
+  async connect() {
+    const { default: Database } = await importDriver('better-sqlite3', this.type);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+      session TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (session, key)
+    )`);
+
+    this.db = db;
+    return db;
+  }
+
+  ready() {
+    if (!this.connecting) {
+      this.connecting = this.connect().catch(error => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  async read(session, key) {
+    const db = await this.ready();
+    const row = db.prepare(`SELECT value FROM ${this.table} WHERE session = ? AND key = ?`).get(session, key);
+    return row ? row.value : null;
+  }
+
+  async write(session, key, value) {
+    const db = await this.ready();
+    db.prepare(`INSERT INTO ${this.table} (session, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (session, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+      .run(session, key, value, new Date().toISOString());
+  }
+
+  async remove(session, key) {
+    const db = await this.ready();
+    db.prepare(`DELETE FROM ${this.table} WHERE session = ? AND key = ?`).run(session, key);
+  }
+
+  async listKeys(session) {
+    const db = await this.ready();
+    return db.prepare(`SELECT key FROM ${this.table} WHERE session = ?`).all(session).map(row => row.key);
+  }
+
+  async hasSession(session) {
+    return (await this.read(session, CREDS_KEY)) !== null;
+  }
+
+  async listSessions() {
+    const db = await this.ready();
+    return db.prepare(`SELECT session FROM ${this.table} WHERE key = ? ORDER BY session`).all(CREDS_KEY).map(row => row.session);
+  }
+
+  async removeSession(session) {
+    const db = await this.ready();
+    db.prepare(`DELETE FROM ${this.table} WHERE session = ?`).run(session);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.connecting = null;
+    }
+  }
+}
+
+// Postgres (pg): permite compartir las sesiones entre réplicas y no depender del volumen
+export class PostgresAuthStore {
+  constructor(connectionString, table = 'whatsapp_auth_state') {
+    this.type = 'postgres';
+    this.connectionString = connectionString;
+    this.table = tableName(table);
+    this.pool = null;
+    this.connecting = null;
+  }
+
+  describe() {
+    return `Postgres (tabla ${this.table})`;
+  }
+
+  async connect() {
+    const { default: pg } = await importDriver('pg', this.type);
+    const pool = new pg.Pool({
+      connectionString: this.connectionString,
+      max: parseInt(process.env.AUTH_STORE_POOL_SIZE || '5', 10)
+    });
+
+    pool.on('error', error => {
+      logger.error('❌ Error en la conexión a Postgres del auth store:', error.message);
+    });
+
+    await pool.query(`CREATE TABLE IF NOT EXISTS ${this.table} (
+      session TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (session, key)
+    )`);
+
+    this.pool = pool;
+    return pool;
+  }
+
+  ready() {
+    if (!this.connecting) {
+      this.connecting = this.connect().catch(error => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  async query(sql, params) {
+    const pool = await this.ready();
+    return pool.query(sql, params);
+  }
+
+  async read(session, key) {
+    const { rows } = await this.query(`SELECT value FROM ${this.table} WHERE session = $1 AND key = $2`, [session, key]);
+    return rows.length > 0 ? rows[0].value : null;
+  }
+
+  async write(session, key, value) {
+    await this.query(`INSERT INTO ${this.table} (session, key, value, updated_at) VALUES ($1, $2, $3, now())
+      ON CONFLICT (session, key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()`, [session, key, value]);
+  }
+
+  async remove(session, key) {
+    await this.query(`DELETE FROM ${this.table} WHERE session = $1 AND key = $2`, [session, key]);
+  }
+
+  async listKeys(session) {
+    const { rows } = await this.query(`SELECT key FROM ${this.table} WHERE session = $1`, [session]);
+    return rows.map(row => row.key);
+  }
+
+  async hasSession(session) {
+    return (await this.read(session, CREDS_KEY)) !== null;
+  }
+
+  async listSessions() {
+    const { rows } = await this.query(`SELECT session FROM ${this.table} WHERE key = $1 ORDER BY session`, [CREDS_KEY]);
+    return rows.map(row => row.session);
+  }
+
+  async removeSession(session) {
+    await this.query(`DELETE FROM ${this.table} WHERE session = $1`, [session]);
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.connecting = null;
+    }
+  }
+}
+
+// Redis (redis): un hash por sesión con una entrada por clave
+export class RedisAuthStore {
+  constructor(url, prefix = 'wa:auth:') {
+    this.type = 'redis';
+    this.url = url;
+    this.prefix = prefix;
+    this.client = null;
+    this.connecting = null;
+  }
+
+  describe() {
+    return `Redis (prefijo ${this.prefix})`;
+  }
+
+  async connect() {
+    const { createClient } = await importDriver('redis', this.type);
+    const client = createClient({ url: this.url });
+
+    client.on('error', error => {
+      logger.error('❌ Error en la conexión a Redis del auth store:', error.message);
+    });
+
+    await client.connect();
+    this.client = client;
+    return client;
+  }
+
+  ready() {
+    if (!this.connecting) {
+      this.connecting = this.connect().catch(error => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  hashKey(session) {
+    return `${this.prefix}${session}`;
+  }
+
+  async read(session, key) {
+    const client = await this.ready();
+    return (await client.hGet(this.hashKey(session), key)) ?? null;
+  }
+
+  async write(session, key, value) {
+    const client = await this.ready();
+    await client.hSet(this.hashKey(session), key, value);
+  }
+
+  async remove(session, key) {
+    const client = await this.ready();
+    await client.hDel(this.hashKey(session), key);
+  }
+
+  async listKeys(session) {
+    const client = await this.ready();
+    return client.hKeys(this.hashKey(session));
+  }
+
+  async hasSession(session) {
+    const client = await this.ready();
+    return !!(await client.hExists(this.hashKey(session), CREDS_KEY));
+  }
+
+  async listSessions() {
+    const client = await this.ready();
+    const sessions = [];
+
+    // scanIterator devuelve claves sueltas o lotes según la versión del cliente
+    for await (const item of client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      for (const hashKey of [].concat(item)) {
+        const session = hashKey.slice(this.prefix.length);
+        if (await this.hasSession(session)) {
+          sessions.push(session);
+        }
+      }
+    }
+
+    return sessions.sort();
+  }
+
+  async removeSession(session) {
+    const client = await this.ready();
+    await client.del(this.hashKey(session));
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+      this.connecting = null;
+    }
+  }
+}
+
+// Crear el almacenamiento configurado. options permite indicar dir/url/path (lo usa el script de migración).
+export function createAuthStore(type = process.env.AUTH_STORE || 'file', options = {}) {
+  const table = options.table || process.env.AUTH_STORE_TABLE || 'whatsapp_auth_state';
+
+  switch (type) {
+    case 'file':
+      return new FileAuthStore(options.dir || process.env.AUTH_DATA_DIR || './auth_info_baileys');
+    case 'memory':
+      return new MemoryAuthStore();
+    case 'sqlite':
+      return new SqliteAuthStore(options.path || process.env.AUTH_SQLITE_PATH || path.join(DATA_DIR, 'auth-state.db'), table);
+    case 'postgres': {
+      const url = options.url || process.env.AUTH_STORE_URL || process.env.DATABASE_URL;
+      if (!url) {
+        throw new Error('AUTH_STORE=postgres requiere AUTH_STORE_URL o DATABASE_URL');
+      }
+      return new PostgresAuthStore(url, table);
+    }
+    case 'redis': {
+      const url = options.url || process.env.AUTH_STORE_URL || process.env.REDIS_URL;
+      if (!url) {
+        throw new Error('AUTH_STORE=redis requiere AUTH_STORE_URL o REDIS_URL');
+      }
+      return new RedisAuthStore(url, options.prefix || process.env.AUTH_STORE_PREFIX || 'wa:auth:');
+    }
+    default:
+      throw new Error(`AUTH_STORE desconocido: ${type} (opciones: ${AUTH_STORE_TYPES.join(', ')})`);
+  }
+}
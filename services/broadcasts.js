@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { buildMessageContent } from '../utils/mediaMessage.js';
+
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'invalid'];
+
+// Envíos masivos (ej: recordatorios del día siguiente) en una sola llamada.
+// Cada destinatario se encola en el outbox, que los envía de a uno con pausas entre mensajes;
+// acá se guarda el resultado de cada uno para consultar el progreso con el id del lote.
+class Broadcasts {
+  constructor(manager) {
+    this.manager = manager;
+    this.store = new JsonStore('broadcasts.json', { batches: {} });
+    this.maxRecipients = parseInt(process.env.BROADCAST_MAX_RECIPIENTS || '1000', 10);
+    this.retentionDays = parseInt(process.env.BROADCAST_RETENTION_DAYS || '7', 10);
+  }
+
+  // Validar un destinatario y armar el trabajo para el outbox
+  prepareRecipient(sessionPhone, defaults, recipient) {
+    if (!recipient || typeof recipient !== 'object') {
+      throw new ValidationError('Cada destinatario debe ser un objeto');
+    }
+
+    const message = recipient.message ?? defaults.message;
+
+    // Mensaje libre (texto, archivo, ubicación...): { to, message }
+    if (message) {
+      if (!recipient.to && !recipient.phone) {
+        throw new ValidationError('Falta to');
+      }
+      const to = this.manager.normalizeRecipient(sessionPhone, recipient.to || recipient.phone);
+      buildMessageContent(message);
+
+      return {
+        kind: 'message',
+        payload: { to, message },
+        summary: { phone: to, appointmentId: recipient.appointmentId || null, messageType: null }
+      };
+    }
+
+    // Template de cita: mismos campos que send-template (messageType puede venir del lote)
+    const templateData = this.manager.templates.buildTemplateData(sessionPhone, {
+      ...recipient,
+      messageType: recipient.messageType || defaults.messageType
+    });
+    const phone = this.manager.normalizeRecipient(sessionPhone, recipient.phone);
+
+    return {
+      kind: 'template',
+      payload: { phone, templateData },
+      summary: { phone, appointmentId: templateData.appointmentId, messageType: templateData.messageType }
+    };
+  }
+
+  // Crear un lote: los destinatarios inválidos quedan marcados y no se envían, el resto se encola
+  create(sessionPhone, { name, messageType, message, recipients }) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new ValidationError('recipients debe ser una lista con al menos un destinatario');
+    }
+
+    if (recipients.length > this.maxRecipients) {
+      throw new ValidationError(`Máximo ${this.maxRecipients} destinatarios por lote (recibidos: ${recipients.length})`);
+    }
+
+    const batchId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const results = [];
+    const items = [];
+
+    recipients.forEach((recipient, index) => {
+      try {
+        const { kind, payload, summary } = this.prepareRecipient(sessionPhone, { messageType, message }, recipient);
+        results.push({ index, ...summary, status: 'queued', jobId: null, messageId: null, error: null });
+        items.push({ kind, payload, meta: { batchId } });
+      } catch (error) {
+        results.push({
+          index,
+          phone: recipient?.phone || recipient?.to || null,
+          appointmentId: recipient?.appointmentId || null,
+          messageType: recipient?.messageType || messageType || null,
+          status: 'invalid',
+          jobId: null,
+          messageId: null,
+          error: error.message
+        });
+      }
+    });
+
+    if (items.length === 0) {
+      throw new ValidationError('Ningún destinatario es válido', results.map(({ index, error }) => ({ index, error })));
+    }
+
+    const batch = {
+      id: batchId,
+      sessionPhone,
+      name: name || null,
+      status: 'processing',
+      total: recipients.length,
+      recipients: results,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    const data = this.store.load();
+    data.batches[batchId] = batch;
+
+    // Encolar y asociar cada destinatario con su trabajo del outbox
+    const jobs = this.manager.outbox.enqueueMany(sessionPhone, items);
+    const queued = batch.recipients.filter(recipient => recipient.status === 'queued');
+    jobs.forEach((job, index) => {
+      queued[index].jobId = job.id;
+    });
+    this.store.saveNow();
+
+    logger.info(`📣 Envío masivo ${batchId} creado para ${sessionPhone}: ${jobs.length} encolados, ${results.length - jobs.length} inválidos`);
+    this.pruneOld();
+
+    return this.toPublic(batch);
+  }
+
+  // Resultado final de un mensaje del lote (lo informa el outbox)
+  recordResult(job) {
+    const data = this.store.load();
+    const batch = data.batches[job.batchId];
+    const recipient = batch?.recipients.find(item => item.jobId === job.id);
+
+    if (!recipient) {
+      return;
+    }
+
+    recipient.status = job.status;
+    recipient.messageId = job.result?.messageId || null;
+    recipient.error = job.status === 'failed' ? job.lastError : null;
+    batch.updatedAt = new Date().toISOString();
+
+    if (batch.status === 'processing' && batch.recipients.every(item => FINAL_STATUSES.includes(item.status))) {
+      batch.status = 'completed';
+      batch.finishedAt = batch.updatedAt;
+
+      const counts = this.getCounts(batch);
+      logger.info(`📣 Envío masivo ${batch.id} terminado: ${counts.sent} enviados, ${counts.failed} fallidos`);
+      this.manager.webhooks.dispatch(batch.sessionPhone, 'broadcast.completed', {
+        batchId: batch.id,
+        name: batch.name,
+        counts
+      });
+    }
+
+    this.store.save();
+  }
+
+  getCounts(batch) {
+    const counts = { total: batch.total, queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0, invalid: 0 };
+    for (const recipient of batch.recipients) {
+      counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Estado del lote con el progreso de los mensajes que todavía están en el outbox
+  toPublic(batch, { includeRecipients = true } = {}) {
+    const recipients = batch.recipients.map(recipient => {
+      if (FINAL_STATUSES.includes(recipient.status) || !recipient.jobId) {
+        return recipient;
+      }
+
+      const job = this.manager.outbox.get(batch.sessionPhone, recipient.jobId);
+      return job
+        ? { ...recipient, status: job.status, attempts: job.attempts, error: job.lastError }
+        : recipient;
+    });
+
+    const counts = this.getCounts({ ...batch, recipients });
+    const done = counts.total - counts.queued - counts.sending;
+
+    return {
+      id: batch.id,
+      name: batch.name,
+      status: batch.status,
+      progress: Math.round((done / counts.total) * 100),
+      counts,
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      finishedAt: batch.finishedAt,
+      ...(includeRecipients ? { recipients } : {})
+    };
+  }
+
+  get(sessionPhone, batchId) {
+    const batch = this.store.load().batches[batchId];
+    return batch && batch.sessionPhone === sessionPhone ? this.toPublic(batch) : null;
+  }
+
+  list(sessionPhone) {
+    return Object.values(this.store.load().batches)
+      .filter(batch => batch.sessionPhone === sessionPhone)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(batch => this.toPublic(batch, { includeRecipients: false }));
+  }
+
+  // Cancelar los mensajes del lote que todavía no se enviaron
+  cancel(sessionPhone, batchId) {
+    const data = this.store.load();
+    const batch = data.batches[batchId];
+
+    if (!batch || batch.sessionPhone !== sessionPhone) {
+      return null;
+    }
+
+    // Marcar primero el lote para que los resultados de la cancelación no lo den por completado
+    if (batch.status === 'processing') {
+      batch.status = 'cancelled';
+      batch.finishedAt = new Date().toISOString();
+      batch.updatedAt = batch.finishedAt;
+    }
+
+    let cancelled = 0;
+    for (const recipient of batch.recipients) {
+      if (recipient.status === 'queued' && recipient.jobId && this.manager.outbox.cancel(sessionPhone, recipient.jobId)) {
+        cancelled++;
+      }
+    }
+    this.store.saveNow();
+
+    logger.info(`🚫 Envío masivo ${batchId} cancelado: ${cancelled} mensajes sin enviar`);
+    return { ...this.toPublic(batch), cancelledCount: cancelled };
+  }
+
+  // Eliminar lotes terminados más viejos que la retención configurada
+  pruneOld() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const data = this.store.load();
+
+    for (const [id, batch] of Object.entries(data.batches)) {
+      if (batch.status !== 'processing' && batch.updatedAt < cutoff) {
+        delete data.batches[id];
+      }
+    }
+  }
+}
+
+export default Broadcasts;
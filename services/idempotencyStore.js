@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+
+const HOUR = 60 * 60 * 1000;
+const PRUNE_INTERVAL = HOUR;
+const KEY_PATTERN = /^[\w.:-]{1,255}$/;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+// Envíos idempotentes: guarda la primera respuesta exitosa de un envío durante IDEMPOTENCY_WINDOW_HOURS
+// y la devuelve en los reintentos sin volver a enviar. Se identifica por el header Idempotency-Key y,
+// en los templates, por appointmentId + messageType. Si el primer pedido todavía está en curso,
+// el reintento espera su resultado. Las respuestas con error no se guardan: el reintento vuelve a enviar.
+class IdempotencyStore {
+  constructor() {
+    this.store = new JsonStore('idempotency.json', { entries: {} });
+    this.windowMs = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS || '24') * HOUR;
+    this.appointmentDedupe = process.env.APPOINTMENT_DEDUPE !== 'false';
+    this.inFlight = new Map(); // clave -> { fingerprint, promise }
+    this.lastPrune = 0;
+  }
+
+  // Claves de un pedido: la del header (estricta: con otros datos es un error) y la del turno
+  // (si cambian el teléfono o los datos del turno, por ejemplo al reprogramarlo, es un envío nuevo)
+  keysFor(sessionPhone, { idempotencyKey, fingerprint, appointment }) {
+    const keys = [];
+
+    if (idempotencyKey !== undefined) {
+      if (typeof idempotencyKey !== 'string' || !KEY_PATTERN.test(idempotencyKey)) {
+        throw new ValidationError('Idempotency-Key inválida: hasta 255 caracteres (letras, números, _ . : -)');
+      }
+      keys.push({ id: `${sessionPhone}:key:${idempotencyKey}`, fingerprint, strict: true });
+    }
+
+    if (this.appointmentDedupe && appointment?.appointmentId && appointment.messageType) {
+      keys.push({
+        id: `${sessionPhone}:appointment:${appointment.appointmentId}:${appointment.messageType}`,
+        fingerprint: hash(appointment.data),
+        strict: false
+      });
+    }
+
+    return keys;
+  }
+
+  // Respuesta guardada (o pedido en curso) para alguna de las claves del pedido
+  find(keys) {
+    const entries = this.store.load().entries;
+    const now = Date.now();
+
+    for (const key of keys) {
+      const entry = entries[key.id];
+      const pending = this.inFlight.get(key.id);
+      const current = pending || (entry && Date.parse(entry.expiresAt) > now ? entry : null);
+
+      if (!current) {
+        continue;
+      }
+
+      if (current.fingerprint !== key.fingerprint) {
+        if (key.strict) {
+          throw new AppError('Idempotency-Key ya usada con otros datos', 422);
+        }
+        continue;
+      }
+
+      if (current === pending) {
+        return { key: key.id, promise: pending.promise };
+      }
+
+      return { status: entry.status, body: entry.body, key: key.id };
+    }
+
+    return null;
+  }
+
+  // Empezar un pedido: devuelve la respuesta anterior si la hay o un claim para completar después
+  async begin(sessionPhone, request) {
+    const keys = this.keysFor(sessionPhone, request);
+
+    if (keys.length === 0) {
+      return null;
+    }
+
+    let previous = this.find(keys);
+
+    // Pedido en curso: esperar su resultado. Si falló, este reintento vuelve a enviar
+    // (o espera al reintento que se adelantó, que ya quedó en curso)
+    while (previous?.promise) {
+      logger.info(`⏳ Envío ${previous.key} en curso: se espera el resultado del primer pedido`);
+      const result = await previous.promise;
+      previous = result.status >= 200 && result.status < 300 ? { ...result, key: previous.key } : this.find(keys);
+    }
+
+    if (previous) {
+      logger.info(`🔁 Envío repetido (${previous.key}): se devuelve la respuesta original sin reenviar`);
+      return { replay: previous };
+    }
+
+    let resolve;
+    const promise = new Promise(done => {
+      resolve = done;
+    });
+
+    for (const key of keys) {
+      this.inFlight.set(key.id, { fingerprint: key.fingerprint, promise });
+    }
+
+    return { keys, resolve, done: false };
+  }
+
+  // Terminar un pedido: guardar la respuesta si fue exitosa y liberar a los que esperaban
+  complete(claim, status, body) {
+    if (!claim || claim.done) {
+      return;
+    }
+
+    claim.done = true;
+
+    if (status >= 200 && status < 300) {
+      const data = this.store.load();
+      const now = new Date();
+      for (const key of claim.keys) {
+        data.entries[key.id] = {
+          fingerprint: key.fingerprint,
+          status,
+          body,
+          createdAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + this.windowMs).toISOString()
+        };
+      }
+      // Ya se envió: si el proceso cae antes del guardado diferido, un reintento enviaría de nuevo
+      this.store.saveNow();
+    }
+
+    for (const key of claim.keys) {
+      this.inFlight.delete(key.id);
+    }
+    claim.resolve({ status, body });
+    this.pruneIfNeeded();
+  }
+
+  // La respuesta terminó sin guardarse (no pasó por res.json): los que esperaban reciben un error y pueden reintentar
+  release(claim) {
+    this.complete(claim, 503, { success: false, error: 'El pedido original se interrumpió: reintentar' });
+  }
+
+  pruneIfNeeded() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+
+    this.lastPrune = Date.now();
+    const data = this.store.load();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [id, entry] of Object.entries(data.entries)) {
+      if (Date.parse(entry.expiresAt) <= now) {
+        delete data.entries[id];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.store.save();
+      logger.info(`🧹 ${removed} respuestas de idempotencia vencidas eliminadas`);
+    }
+  }
+}
+
+export default IdempotencyStore;
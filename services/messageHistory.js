@@ -0,0 +1,346 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { DATA_DIR, appendJsonLine } from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+
+const PRUNE_INTERVAL = 24 * 60 * 60 * 1000; // 1 día
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Texto y datos del archivo de un contenido de Baileys (sin el archivo en sí)
+export function summarizeContent(content) {
+  if (!content || typeof content !== 'object') {
+    return { text: content ? String(content) : null, media: null };
+  }
+
+  const text = content.text ?? content.caption ?? content.location?.name ?? content.contacts?.displayName ?? null;
+  const hasMedia = ['image', 'video', 'audio', 'sticker', 'document'].some(key => content[key]);
+
+  return {
+    text: text || null,
+    media: hasMedia ? { mimetype: content.mimetype || null, fileName: content.fileName || null } : null
+  };
+}
+
+// Historial de mensajes enviados y recibidos por sesión, para soporte ("¿le llegó el recordatorio?").
+// Un archivo JSONL por sesión en DATA_DIR/history (se agrega una línea por mensaje). Solo las sesiones
+// consultadas se cargan en memoria, hasta HISTORY_CACHE_SESSIONS (se descartan las menos usadas).
+// Los estados de entrega salen del MessageTracker; los envíos que fallaron quedan con status "failed".
+class MessageHistory {
+  constructor(messageTracker) {
+    this.messageTracker = messageTracker;
+    this.sessions = new Map(); // sessionPhone -> registros en orden de llegada (la última usada al final)
+    this.cacheSize = Math.max(1, parseInt(process.env.HISTORY_CACHE_SESSIONS || '20', 10));
+    this.retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS || '90', 10);
+    this.storeText = process.env.HISTORY_STORE_TEXT !== 'false';
+    this.lastPrune = 0;
+    this.pruning = false;
+  }
+
+  fileName(sessionPhone) {
+    return path.join('history', `${sessionPhone}.jsonl`);
+  }
+
+  cleanPeer(peer) {
+    return String(peer).split('@')[0].replace(/[^0-9]/g, '');
+  }
+
+  load(sessionPhone) {
+    if (this.sessions.has(sessionPhone)) {
+      const cached = this.sessions.get(sessionPhone);
+      this.sessions.delete(sessionPhone);
+      this.sessions.set(sessionPhone, cached);
+      return cached;
+    }
+
+    const records = [];
+    const filePath = path.join(DATA_DIR, this.fileName(sessionPhone));
+
+    try {
+      if (fs.existsSync(filePath)) {
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+          if (line.trim()) {
+            try {
+              records.push(JSON.parse(line));
+            } catch (error) {
+              // Línea incompleta (ej. corte durante la escritura): se ignora
+            }
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`❌ Error leyendo historial de ${sessionPhone}:`, error);
+    }
+
+    this.sessions.set(sessionPhone, records);
+    if (this.sessions.size > this.cacheSize) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return records;
+  }
+
+  // Agregar al archivo (y a la copia en memoria solo si la sesión está cargada)
+  append(sessionPhone, record) {
+    if (!this.storeText) {
+      record.text = null;
+    }
+
+    this.sessions.get(sessionPhone)?.push(record);
+    appendJsonLine(this.fileName(sessionPhone), record);
+    this.pruneIfNeeded();
+    return record;
+  }
+
+  // Mensaje enviado por el servicio. Los templates con opciones guardan el formato y las opciones
+  // (y la clave de la encuesta) para vincular después la respuesta con la opción elegida.
+  recordOutbound(sessionPhone, messageId, { to, type, content, appointmentId, messageType, format, options, poll }) {
+    const { text, media } = summarizeContent(content);
+
+    return this.append(sessionPhone, {
+      id: messageId,
+      direction: 'out',
+      peer: this.cleanPeer(to),
+      type: type || 'text',
+      text,
+      media,
+      appointmentId: appointmentId ? String(appointmentId) : null,
+      messageType: messageType || null,
+      quotedMessageId: null,
+      ...(options && { format, options, poll: poll || null }),
+      at: new Date().toISOString()
+    });
+  }
+
+  // Envío que falló: queda en el historial con el error, sin id de WhatsApp
+  recordFailed(sessionPhone, { to, type, content, appointmentId, messageType, error }) {
+    const { text, media } = summarizeContent(content);
+
+    return this.append(sessionPhone, {
+      id: `failed-${crypto.randomUUID()}`,
+      direction: 'out',
+      peer: this.cleanPeer(to),
+      type: type || 'text',
+      text,
+      media,
+      appointmentId: appointmentId ? String(appointmentId) : null,
+      messageType: messageType || null,
+      quotedMessageId: null,
+      status: 'failed',
+      error: error?.message || String(error),
+      at: new Date().toISOString()
+    });
+  }
+
+  // Mensaje recibido (parseIncomingMessage). Si cita un mensaje nuestro, hereda su appointmentId.
+  // intent es la interpretación de la respuesta al turno (ReplyInterpreter), si la hubo.
+  recordInbound(sessionPhone, parsed, { appointmentId = null, intent = null } = {}) {
+    const quoted = parsed.quotedMessageId ? this.findById(sessionPhone, parsed.quotedMessageId) : null;
+
+    return this.append(sessionPhone, {
+      id: parsed.messageId,
+      direction: 'in',
+      peer: this.cleanPeer(parsed.from),
+      type: parsed.type,
+      text: parsed.text,
+      media: parsed.media ? { mimetype: parsed.media.mimetype, fileName: parsed.media.fileName } : null,
+      appointmentId: appointmentId ? String(appointmentId) : (quoted?.appointmentId || null),
+      messageType: null,
+      quotedMessageId: parsed.quotedMessageId,
+      intent,
+      pushName: parsed.pushName,
+      at: parsed.timestamp || new Date().toISOString()
+    });
+  }
+
+  findById(sessionPhone, messageId) {
+    const records = this.load(sessionPhone);
+    for (let index = records.length - 1; index >= 0; index--) {
+      if (records[index].id === messageId) {
+        return records[index];
+      }
+    }
+    return null;
+  }
+
+  // Agregar el estado de entrega actual a los mensajes salientes
+  withStatus(sessionPhone, record) {
+    if (record.direction !== 'out' || record.status === 'failed') {
+      return record;
+    }
+
+    const tracked = this.messageTracker.get(sessionPhone, record.id);
+    return { ...record, status: tracked?.status || null, statusUpdatedAt: tracked?.updatedAt || null };
+  }
+
+  // Consultar el historial, del más nuevo al más viejo.
+  // Filtros: peer, appointmentId, direction, since, until. Paginación: limit y cursor (nextCursor de la página anterior).
+  query(sessionPhone, { peer, appointmentId, direction, since, until, limit, cursor } = {}) {
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit debe ser un número entre 1 y ${MAX_PAGE_SIZE}`);
+    }
+
+    if (direction && !['in', 'out'].includes(direction)) {
+      throw new ValidationError('direction debe ser "in" o "out"');
+    }
+
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+      throw new ValidationError('since y until deben ser fechas ISO 8601');
+    }
+
+    // El cursor es "fecha|id" del último mensaje devuelto
+    let after = null;
+    if (cursor) {
+      const separator = String(cursor).indexOf('|');
+      after = { at: String(cursor).slice(0, separator), id: String(cursor).slice(separator + 1) };
+      if (separator < 0 || Number.isNaN(Date.parse(after.at))) {
+        throw new ValidationError('cursor inválido');
+      }
+    }
+
+    const cleanPeer = peer ? this.cleanPeer(peer) : null;
+    const matches = this.load(sessionPhone)
+      .filter(record => (!cleanPeer || record.peer === cleanPeer) &&
+        (!appointmentId || record.appointmentId === String(appointmentId)) &&
+        (!direction || record.direction === direction) &&
+        (sinceTime === null || Date.parse(record.at) >= sinceTime) &&
+        (untilTime === null || Date.parse(record.at) <= untilTime))
+      .sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id));
+
+    const start = after
+      ? matches.findIndex(record => record.at < after.at || (record.at === after.at && record.id < after.id))
+      : 0;
+    const page = start < 0 ? [] : matches.slice(start, start + pageSize);
+    const hasMore = start >= 0 && start + pageSize < matches.length;
+    const last = page[page.length - 1];
+
+    return {
+      data: page.map(record => this.withStatus(sessionPhone, record)),
+      nextCursor: hasMore ? `${last.at}|${last.id}` : null
+    };
+  }
+
+  // Conversaciones de la sesión: último mensaje y cantidad por número, de la más reciente a la más vieja
+  listConversations(sessionPhone) {
+    const conversations = new Map();
+
+    for (const record of this.load(sessionPhone)) {
+      const conversation = conversations.get(record.peer) || { peer: record.peer, messages: 0, inbound: 0, outbound: 0, lastMessage: null };
+      conversation.messages++;
+      conversation[record.direction === 'in' ? 'inbound' : 'outbound']++;
+      if (!conversation.lastMessage || record.at >= conversation.lastMessage.at) {
+        conversation.lastMessage = record;
+      }
+      conversations.set(record.peer, conversation);
+    }
+
+    return [...conversations.values()]
+      .map(conversation => ({ ...conversation, lastMessage: this.withStatus(sessionPhone, conversation.lastMessage) }))
+      .sort((a, b) => b.lastMessage.at.localeCompare(a.lastMessage.at));
+  }
+
+  // Reescribir los archivos sin los mensajes más viejos que la retención (una vez por día, en segundo plano)
+  pruneIfNeeded() {
+    if (this.pruning || Date.now() - this.lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+
+    this.lastPrune = Date.now();
+    this.pruning = true;
+    this.prune()
+      .catch(error => logger.error('❌ Error depurando historial:', error))
+      .finally(() => {
+        this.pruning = false;
+      });
+  }
+
+  async prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const historyDir = path.join(DATA_DIR, 'history');
+
+    if (!fs.existsSync(historyDir)) {
+      return;
+    }
+
+    for (const file of fs.readdirSync(historyDir).filter(name => name.endsWith('.jsonl'))) {
+      const sessionPhone = file.slice(0, -'.jsonl'.length);
+
+      try {
+        const removed = await this.pruneFile(path.join(historyDir, file), cutoff);
+
+        if (removed > 0) {
+          const cached = this.sessions.get(sessionPhone);
+          if (cached) {
+            this.sessions.set(sessionPhone, cached.filter(record => record.at >= cutoff));
+          }
+          logger.info(`🧹 ${removed} mensajes del historial de ${sessionPhone} eliminados por antigüedad`);
+        }
+      } catch (error) {
+        logger.error(`❌ Error depurando historial de ${sessionPhone}:`, error);
+      }
+    }
+  }
+
+  // Copiar línea por línea los mensajes vigentes a un temporal (sin cargar el archivo entero).
+  // Lo agregado mientras tanto se copia al final antes de reemplazar el archivo. Devuelve los eliminados.
+  async pruneFile(filePath, cutoff) {
+    const size = fs.statSync(filePath).size;
+    if (size === 0) {
+      return 0;
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    const output = fs.createWriteStream(tmpPath);
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, { end: size - 1 }), crlfDelay: Infinity });
+    let removed = 0;
+
+    try {
+      for await (const line of lines) {
+        let record = null;
+        try {
+          record = line.trim() ? JSON.parse(line) : null;
+        } catch (error) {
+          // Línea incompleta (ej. corte durante la escritura): se descarta
+        }
+
+        if (record && record.at >= cutoff) {
+          if (!output.write(line + '\n')) {
+            await new Promise(resolve => output.once('drain', resolve));
+          }
+        } else if (line.trim()) {
+          removed++;
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    }
+
+    if (removed === 0) {
+      fs.rmSync(tmpPath, { force: true });
+      return 0;
+    }
+
+    // Sin esperas desde acá: ninguna línea nueva se puede agregar entre la copia y el reemplazo
+    const appended = fs.statSync(filePath).size - size;
+    if (appended > 0) {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(appended);
+        fs.readSync(fd, buffer, 0, appended, size);
+        fs.appendFileSync(tmpPath, buffer);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    fs.renameSync(tmpPath, filePath);
+
+    return removed;
+  }
+}
+
+export default MessageHistory;
@@ -0,0 +1,139 @@
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+
+// Ciclo de vida de un mensaje saliente (en orden de avance)
+const STATUS_ORDER = ['pending', 'server_ack', 'delivered', 'read'];
+
+// proto.WebMessageInfo.Status de Baileys -> estado propio
+const BAILEYS_STATUS = {
+  0: 'failed',     // ERROR
+  1: 'pending',    // PENDING
+  2: 'server_ack', // SERVER_ACK
+  3: 'delivered',  // DELIVERY_ACK
+  4: 'read',       // READ
+  5: 'read'        // PLAYED (audios/videos reproducidos)
+};
+
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+// Seguimiento persistente del estado de entrega/lectura de mensajes salientes
+class MessageTracker {
+  constructor(webhooks) {
+    this.webhooks = webhooks;
+    this.store = new JsonStore('message-status.json', { messages: {} });
+    this.retentionDays = parseInt(process.env.MESSAGE_STATUS_RETENTION_DAYS || '30', 10);
+    this.lastPrune = 0;
+  }
+
+  key(sessionPhone, messageId) {
+    return `${sessionPhone}:${messageId}`;
+  }
+
+  // Traducir el estado numérico de Baileys
+  static fromBaileysStatus(status) {
+    return BAILEYS_STATUS[status] || null;
+  }
+
+  // Registrar un mensaje recién enviado
+  track(sessionPhone, messageId, info = {}) {
+    if (!messageId) {
+      return null;
+    }
+
+    const data = this.store.load();
+    const now = new Date().toISOString();
+    const record = {
+      messageId,
+      sessionPhone,
+      to: info.to || null,
+      type: info.type || 'text',
+      appointmentId: info.appointmentId || null,
+      messageType: info.messageType || null,
+      status: 'pending',
+      history: [{ status: 'pending', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    data.messages[this.key(sessionPhone, messageId)] = record;
+    this.store.save();
+    this.pruneIfNeeded();
+
+    // El resultado del envío puede traer ya un estado más avanzado
+    if (info.status && info.status !== 'pending') {
+      this.updateStatus(sessionPhone, messageId, info.status);
+    }
+
+    return record;
+  }
+
+  // Actualizar estado (nunca retrocede, salvo a 'failed')
+  updateStatus(sessionPhone, messageId, status, at = new Date()) {
+    const data = this.store.load();
+    const record = data.messages[this.key(sessionPhone, messageId)];
+
+    // Solo se siguen los mensajes enviados por este servicio
+    if (!record || !status || record.status === status) {
+      return null;
+    }
+
+    if (status !== 'failed' && record.status !== 'failed' &&
+        STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(record.status)) {
+      return null;
+    }
+
+    const timestamp = at.toISOString();
+    record.status = status;
+    record.updatedAt = timestamp;
+    record.history.push({ status, at: timestamp });
+    this.store.save();
+
+    logger.info(`📬 Mensaje ${messageId} de ${sessionPhone} -> ${status}`);
+
+    this.webhooks.dispatch(sessionPhone, 'message.status', {
+      messageId,
+      to: record.to,
+      appointmentId: record.appointmentId,
+      messageType: record.messageType,
+      status,
+      at: timestamp
+    });
+
+    return record;
+  }
+
+  get(sessionPhone, messageId) {
+    const data = this.store.load();
+    return data.messages[this.key(sessionPhone, messageId)] || null;
+  }
+
+  // Eliminar registros más viejos que la retención configurada
+  pruneIfNeeded() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+
+    this.lastPrune = Date.now();
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const data = this.store.load();
+    let removed = 0;
+
+    for (const [key, record] of Object.entries(data.messages)) {
+      if (new Date(record.updatedAt).getTime() < cutoff) {
+        delete data.messages[key];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`🧹 ${removed} registros de estado de mensajes eliminados por antigüedad`);
+      this.store.save();
+    }
+  }
+
+  flush() {
+    this.store.saveNow();
+  }
+}
+
+export default MessageTracker;
@@ -0,0 +1,137 @@
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+// Consulta si un número tiene WhatsApp (onWhatsApp) y guarda el resultado un tiempo,
+// así no se repite la consulta en cada envío. El resultado no depende de la sesión que consulta.
+class NumberLookup {
+  constructor() {
+    this.store = new JsonStore('number-checks.json', { numbers: {} });
+    this.ttl = parseFloat(process.env.NUMBER_CHECK_TTL_HOURS || '24') * 60 * 60 * 1000;
+    this.maxBatch = parseInt(process.env.NUMBER_CHECK_MAX_BATCH || '100', 10);
+    this.lastPrune = 0;
+  }
+
+  cleanNumber(number) {
+    return String(number).split('@')[0].replace(/[^0-9]/g, '');
+  }
+
+  // Resultado guardado y vigente para un número (null si no se consultó o venció)
+  getCached(number) {
+    const entry = this.store.load().numbers[this.cleanNumber(number)];
+
+    if (!entry || Date.now() - Date.parse(entry.checkedAt) > this.ttl) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  // true/false si se sabe, null si no hay dato vigente
+  isKnownToExist(number) {
+    const entry = this.getCached(number);
+    return entry ? entry.exists : null;
+  }
+
+  // Número a consultar: solo dígitos, de largo válido para E.164
+  defaultNormalize(number) {
+    const clean = this.cleanNumber(number);
+    if (clean.length < 8 || clean.length > 15) {
+      throw new ValidationError(`Número de teléfono inválido: ${number}`);
+    }
+    return clean;
+  }
+
+  // Consultar números con la sesión indicada (usa el cache salvo refresh=true).
+  // normalize convierte cada número al formato de WhatsApp (lanza error si es inválido).
+  async check(instance, numbers, { refresh = false, normalize = number => this.defaultNormalize(number) } = {}) {
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+      throw new ValidationError('Se requiere al menos un número');
+    }
+
+    if (numbers.length > this.maxBatch) {
+      throw new ValidationError(`Máximo ${this.maxBatch} números por consulta (recibidos: ${numbers.length})`);
+    }
+
+    const results = new Map();
+    const normalized = new Map();
+    const pending = [];
+
+    for (const number of numbers) {
+      let clean;
+      try {
+        clean = this.cleanNumber(normalize(number));
+      } catch (error) {
+        results.set(number, { number: String(number), exists: false, jid: null, error: error.message });
+        continue;
+      }
+
+      normalized.set(number, clean);
+      const cached = refresh ? null : this.getCached(clean);
+      if (cached) {
+        results.set(number, { ...cached, cached: true });
+      } else if (!pending.includes(clean)) {
+        pending.push(clean);
+      }
+    }
+
+    if (pending.length > 0) {
+      const found = await instance.lookupNumbers(pending);
+      const data = this.store.load();
+      const checkedAt = new Date().toISOString();
+
+      for (const clean of pending) {
+        const jid = found.get(clean) || null;
+        data.numbers[clean] = { number: clean, exists: !!jid, jid, checkedAt };
+      }
+
+      this.store.save();
+      logger.info(`🔎 ${pending.length} números consultados en WhatsApp desde ${instance.phoneNumber} (${found.size} con cuenta)`);
+    }
+
+    for (const number of numbers) {
+      if (!results.has(number)) {
+        results.set(number, { ...this.store.load().numbers[normalized.get(number)], cached: false });
+      }
+    }
+
+    this.pruneIfNeeded();
+
+    return numbers.map(number => results.get(number));
+  }
+
+  // Rechazar un destinatario sin WhatsApp: usa el cache y, si no hay dato y la sesión está conectada, consulta
+  async ensureExists(instance, number) {
+    let exists = this.isKnownToExist(number);
+
+    if (exists === null && instance?.isConnected) {
+      [{ exists }] = await this.check(instance, [number]);
+    }
+
+    if (exists === false) {
+      throw new AppError(`El número ${number} no tiene WhatsApp`, 422, { notOnWhatsApp: true });
+    }
+  }
+
+  // Eliminar resultados vencidos
+  pruneIfNeeded() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+
+    this.lastPrune = Date.now();
+    const data = this.store.load();
+
+    for (const [number, entry] of Object.entries(data.numbers)) {
+      if (Date.now() - Date.parse(entry.checkedAt) > this.ttl) {
+        delete data.numbers[number];
+      }
+    }
+
+    this.store.save();
+  }
+}
+
+export default NumberLookup;
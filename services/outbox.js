@@ -0,0 +1,413 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import JsonStore, { DATA_DIR } from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { AppError, RateLimitError } from '../utils/errors.js';
+import { decodeBase64 } from '../utils/mediaMessage.js';
+import { getRequestContext, runWithContext } from '../utils/requestContext.js';
+
+const TICK_INTERVAL = 5000;
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hora
+const MEDIA_DIR = path.join(DATA_DIR, 'outbox-media');
+// 4xx que se pueden resolver solos (sesión no conectada, timeout, límite de envíos): esos sí se reintentan
+const TRANSIENT_CLIENT_STATUSES = [408, 409, 429];
+const FINISHED_STATUSES = ['sent', 'failed', 'cancelled'];
+
+// Error de los datos del mensaje (4xx): volver a intentar no lo arregla
+function isPermanentError(error) {
+  return error instanceof AppError && error.statusCode >= 400 && error.statusCode < 500
+    && !TRANSIENT_CLIENT_STATUSES.includes(error.statusCode);
+}
+
+// Cola persistente de mensajes salientes por sesión.
+// Los mensajes se guardan en disco y se envían cuando la sesión está conectada.
+class Outbox {
+  constructor(manager) {
+    this.manager = manager;
+    this.store = new JsonStore('outbox.json', { jobs: {} });
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10);
+    this.baseDelay = parseInt(process.env.OUTBOX_RETRY_BASE_MS || '5000', 10);
+    this.maxDelay = parseInt(process.env.OUTBOX_RETRY_MAX_MS || '600000', 10);
+    this.retentionHours = parseInt(process.env.OUTBOX_RETENTION_HOURS || '72', 10);
+    this.draining = new Set();
+    this.restoreAttempted = new Set();
+    this.interval = null;
+    this.lastPrune = 0;
+  }
+
+  // Iniciar el procesamiento periódico de la cola
+  start() {
+    const data = this.store.load();
+
+    // Trabajos interrumpidos por un reinicio vuelven a la cola
+    for (const job of Object.values(data.jobs)) {
+      if (job.status === 'sending') {
+        job.status = 'queued';
+        job.updatedAt = new Date().toISOString();
+      }
+    }
+    this.store.saveNow();
+
+    const pending = Object.values(data.jobs).filter(job => job.status === 'queued').length;
+    logger.info(`📦 Outbox iniciado - ${pending} mensajes pendientes`);
+
+    this.interval = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.store.saveNow();
+  }
+
+  createJob(sessionPhone, kind, payload, meta = {}) {
+    const now = new Date().toISOString();
+    const { nextAttemptAt, ...extra } = meta;
+    return {
+      id: crypto.randomUUID(),
+      sessionPhone,
+      kind, // 'message' | 'template'
+      payload: kind === 'message' ? this.storeMedia(payload) : payload,
+      ...extra, // batchId cuando el mensaje es parte de un envío masivo
+      requestId: getRequestContext()?.requestId || null, // request que lo encoló, para seguirlo en los logs
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: nextAttemptAt || now,
+      lastError: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // Los archivos en base64 se guardan aparte en data/outbox-media (uno por contenido, así un envío masivo
+  // con el mismo archivo lo escribe una vez): outbox.json se reescribe entero en cada cambio de un trabajo
+  storeMedia(payload) {
+    const { message } = payload;
+
+    if (!message || typeof message !== 'object' || !message.data) {
+      return payload;
+    }
+
+    const { data, ...rest } = message;
+    const decoded = Buffer.isBuffer(data) ? { buffer: data, mimetype: null } : decodeBase64(String(data));
+    const mediaFile = crypto.createHash('sha256').update(decoded.buffer).digest('hex');
+    const filePath = path.join(MEDIA_DIR, mediaFile);
+
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(MEDIA_DIR, { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, decoded.buffer);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    // El MIME del data URI se conserva porque el archivo se guarda sin el prefijo
+    return {
+      ...payload,
+      message: { ...rest, ...(!rest.mimetype && decoded.mimetype && { mimetype: decoded.mimetype }), mediaFile }
+    };
+  }
+
+  // Mensaje listo para enviar: con el archivo guardado aparte leído de nuevo
+  loadMedia(message) {
+    if (!message?.mediaFile) {
+      return message;
+    }
+
+    const { mediaFile, ...rest } = message;
+    const filePath = path.join(MEDIA_DIR, mediaFile);
+
+    if (!fs.existsSync(filePath)) {
+      throw new AppError(`El archivo del mensaje ya no está disponible (${mediaFile})`, 410);
+    }
+
+    return { ...rest, data: fs.readFileSync(filePath) };
+  }
+
+  // Borrar el archivo de un trabajo terminado si ningún otro pendiente lo usa
+  releaseMedia(job) {
+    const mediaFile = job.payload.message?.mediaFile;
+
+    if (!mediaFile) {
+      return;
+    }
+
+    const inUse = Object.values(this.store.load().jobs).some(other =>
+      other.payload.message?.mediaFile === mediaFile && !FINISHED_STATUSES.includes(other.status));
+
+    if (!inUse) {
+      fs.rm(path.join(MEDIA_DIR, mediaFile), { force: true }, error => {
+        if (error) {
+          logger.warn(`⚠️ No se pudo borrar el archivo ${mediaFile} del outbox:`, error.message);
+        }
+      });
+    }
+  }
+
+  // Agregar un mensaje a la cola de una sesión
+  enqueue(sessionPhone, kind, payload, meta = {}) {
+    const [job] = this.enqueueMany(sessionPhone, [{ kind, payload, meta }]);
+    logger.info(`📥 Mensaje encolado para ${sessionPhone} - Job: ${job.id} (${kind})`);
+    return job;
+  }
+
+  // Agregar varios mensajes de una vez (una sola escritura a disco)
+  enqueueMany(sessionPhone, items) {
+    const data = this.store.load();
+    const jobs = items.map(({ kind, payload, meta }) => this.createJob(sessionPhone, kind, payload, meta));
+
+    for (const job of jobs) {
+      data.jobs[job.id] = job;
+    }
+    this.store.saveNow();
+
+    // Si la sesión ya está conectada, enviar sin esperar al próximo ciclo
+    setImmediate(() => this.drain(sessionPhone));
+
+    return jobs;
+  }
+
+  get(sessionPhone, jobId) {
+    const job = this.store.load().jobs[jobId];
+    return job && job.sessionPhone === sessionPhone ? job : null;
+  }
+
+  list(sessionPhone, status = null) {
+    return Object.values(this.store.load().jobs)
+      .filter(job => job.sessionPhone === sessionPhone && (!status || job.status === status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Cancelar un mensaje que todavía no se envió
+  cancel(sessionPhone, jobId) {
+    const job = this.get(sessionPhone, jobId);
+
+    if (!job || job.status !== 'queued') {
+      return null;
+    }
+
+    job.status = 'cancelled';
+    job.updatedAt = new Date().toISOString();
+    this.store.saveNow();
+    this.releaseMedia(job);
+    this.notifyFinished(job);
+
+    logger.info(`🚫 Job ${jobId} cancelado para ${sessionPhone}`);
+    return job;
+  }
+
+  // Informar el resultado final de un mensaje que es parte de un envío masivo
+  notifyFinished(job) {
+    if (job.batchId) {
+      this.manager.broadcasts.recordResult(job);
+    }
+  }
+
+  // Calcular próximo intento con backoff exponencial y algo de aleatoriedad
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // Ejecutar el envío según el tipo de trabajo
+  async send(instance, job) {
+    if (job.kind === 'template') {
+      return instance.sendTemplate(job.payload.phone, job.payload.templateData);
+    }
+    return instance.sendMessage(job.payload.to, this.loadMedia(job.payload.message));
+  }
+
+  // Enviar los mensajes pendientes de una sesión (en orden de llegada)
+  async drain(sessionPhone) {
+    if (this.draining.has(sessionPhone)) {
+      return;
+    }
+
+    const instance = this.manager.instances.get(sessionPhone);
+    if (!instance || !instance.isConnected) {
+      return;
+    }
+
+    this.draining.add(sessionPhone);
+
+    try {
+      const now = new Date().toISOString();
+      const dueJobs = this.list(sessionPhone, 'queued').filter(job => job.nextAttemptAt <= now);
+
+      for (const job of dueJobs) {
+        // Si se perdió la conexión, dejar el resto para más tarde
+        if (!instance.isConnected) {
+          break;
+        }
+
+        // Puede haberse cancelado mientras se enviaban los anteriores
+        if (job.status !== 'queued') {
+          continue;
+        }
+
+        // El ritmo de envío lo marca el rate limiter de la sesión; si se alcanzó un límite, seguir después
+        // Cada envío con su propio contexto de logs (no el de la request que disparó el drain)
+        const context = { requestId: job.requestId || undefined, jobId: job.id, appointmentId: job.payload.templateData?.appointmentId };
+        const rateLimited = await runWithContext(context, () => this.processJob(instance, job));
+        if (rateLimited) {
+          break;
+        }
+      }
+    } finally {
+      this.draining.delete(sessionPhone);
+    }
+  }
+
+  // Enviar un trabajo; devuelve true si quedó demorado por el límite de envíos de la sesión
+  async processJob(instance, job) {
+    job.status = 'sending';
+    job.attempts++;
+    job.updatedAt = new Date().toISOString();
+    this.store.saveNow();
+
+    try {
+      const result = await this.send(instance, job);
+
+      job.status = 'sent';
+      job.result = { messageId: result.messageId || null };
+      job.lastError = null;
+      job.updatedAt = new Date().toISOString();
+      this.store.saveNow();
+      this.releaseMedia(job);
+
+      logger.info(`✅ Job ${job.id} enviado para ${job.sessionPhone} (intento ${job.attempts})`);
+      this.manager.webhooks.dispatch(job.sessionPhone, 'outbox.sent', {
+        jobId: job.id,
+        kind: job.kind,
+        messageId: job.result.messageId,
+        appointmentId: job.payload.templateData?.appointmentId || null,
+        attempts: job.attempts
+      });
+      this.notifyFinished(job);
+    } catch (error) {
+      job.lastError = error.message;
+      job.updatedAt = new Date().toISOString();
+
+      // Límite de envíos de la sesión: no cuenta como intento, se reprograma para cuando haya cupo
+      if (error instanceof RateLimitError) {
+        job.attempts--;
+        job.status = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + error.retryAfterMs).toISOString();
+        this.store.saveNow();
+
+        logger.warn(`⏳ Job ${job.id} demorado por límite de envíos de ${job.sessionPhone}, reintento en ${error.retryAfter}s: ${error.message}`);
+        return true;
+      }
+
+      // Datos inválidos (número, template, archivo): falla sin reintentos
+      const permanent = isPermanentError(error);
+
+      if (permanent || job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+        logger.error(permanent
+          ? `❌ Job ${job.id} falló para ${job.sessionPhone} sin reintentos (${error.statusCode}): ${error.message}`
+          : `❌ Job ${job.id} falló definitivamente para ${job.sessionPhone} después de ${job.attempts} intentos`);
+        this.manager.webhooks.dispatch(job.sessionPhone, 'outbox.failed', {
+          jobId: job.id,
+          kind: job.kind,
+          appointmentId: job.payload.templateData?.appointmentId || null,
+          attempts: job.attempts,
+          error: error.message
+        });
+        this.releaseMedia(job);
+        this.notifyFinished(job);
+      } else {
+        const delay = this.getRetryDelay(job.attempts);
+        job.status = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn(`⚠️ Job ${job.id} falló (intento ${job.attempts}/${job.maxAttempts}), reintento en ${Math.round(delay / 1000)}s:`, error.message);
+      }
+
+      this.store.saveNow();
+    }
+  }
+
+  // Ciclo periódico: drenar sesiones conectadas y restaurar las que tengan pendientes
+  tick() {
+    const sessions = new Set(Object.values(this.store.load().jobs)
+      .filter(job => job.status === 'queued')
+      .map(job => job.sessionPhone));
+
+    for (const sessionPhone of sessions) {
+      if (this.manager.instances.has(sessionPhone)) {
+        this.drain(sessionPhone).catch(error => {
+          logger.error(`❌ Error procesando outbox de ${sessionPhone}:`, error);
+        });
+      } else if (!this.restoreAttempted.has(sessionPhone)) {
+        // Después de un reinicio la sesión no está cargada: levantarla una vez para enviar
+        this.restoreAttempted.add(sessionPhone);
+        this.restoreSession(sessionPhone).catch(error => {
+          logger.warn(`⚠️ No se pudo restaurar ${sessionPhone} para el outbox:`, error.message);
+        });
+      }
+    }
+
+    this.pruneIfNeeded();
+  }
+
+  // Levantar una sesión con credenciales guardadas que tiene mensajes pendientes
+  async restoreSession(sessionPhone) {
+    // Si la restauración automática la va a levantar, esperar su turno y reintentar en el próximo ciclo
+    if (this.manager.restorer.isPending(sessionPhone)) {
+      this.restoreAttempted.delete(sessionPhone);
+      return;
+    }
+
+    if (this.manager.isSessionDisabled(sessionPhone) || !(await this.manager.hasStoredSession(sessionPhone))) {
+      return;
+    }
+
+    logger.info(`🔄 Restaurando sesión ${sessionPhone} para enviar mensajes pendientes`);
+    await this.manager.getInstance(sessionPhone);
+  }
+
+  // Eliminar trabajos terminados más viejos que la retención configurada
+  pruneIfNeeded() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+
+    this.lastPrune = Date.now();
+    const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000).toISOString();
+    const data = this.store.load();
+    let removed = 0;
+
+    for (const [id, job] of Object.entries(data.jobs)) {
+      if (FINISHED_STATUSES.includes(job.status) && job.updatedAt < cutoff) {
+        delete data.jobs[id];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`🧹 ${removed} trabajos del outbox eliminados por antigüedad`);
+      this.store.saveNow();
+    }
+  }
+
+  // Cantidad de mensajes pendientes por sesión
+  getPendingCount(sessionPhone) {
+    return this.list(sessionPhone, 'queued').length;
+  }
+
+  // Trabajos en cola por sesión (para métricas)
+  getQueuedCounts() {
+    const counts = {};
+    for (const job of Object.values(this.store.load().jobs)) {
+      if (job.status === 'queued') {
+        counts[job.sessionPhone] = (counts[job.sessionPhone] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+}
+
+export default Outbox;
@@ -0,0 +1,267 @@
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { RateLimitError } from '../utils/errors.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function envInt(name, fallback) {
+  return parseInt(process.env[name] || fallback, 10);
+}
+
+// Límites por defecto (se pueden cambiar por sesión con la configuración "rateLimit")
+const DEFAULT_LIMITS = {
+  perMinute: envInt('RATE_LIMIT_PER_MINUTE', '20'),
+  perHour: envInt('RATE_LIMIT_PER_HOUR', '300'),
+  perDay: envInt('RATE_LIMIT_PER_DAY', '1000'),
+  newContactsPerDay: envInt('RATE_LIMIT_NEW_CONTACTS_PER_DAY', '200'),
+  minIntervalMs: envInt('RATE_LIMIT_MIN_INTERVAL_MS', '1500'),
+  jitterMs: envInt('RATE_LIMIT_JITTER_MS', '1500'),
+  maxWaitMs: envInt('RATE_LIMIT_MAX_WAIT_MS', '15000'),
+  onLimit: process.env.RATE_LIMIT_ON_LIMIT === 'queue' ? 'queue' : 'reject'
+};
+
+// Los contactos sin actividad en este tiempo se olvidan (vuelven a contar como nuevos)
+const CONTACT_RETENTION_MS = envInt('RATE_LIMIT_CONTACT_RETENTION_DAYS', '90') * DAY;
+
+const NUMERIC_LIMITS = ['perMinute', 'perHour', 'perDay', 'newContactsPerDay', 'minIntervalMs', 'jitterMs', 'maxWaitMs'];
+
+// Validar la configuración "rateLimit" de una sesión (mensaje de error o null)
+export function validateRateLimit(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return 'rateLimit debe ser un objeto { perMinute, perHour, perDay, newContactsPerDay, minIntervalMs, jitterMs, maxWaitMs, onLimit }';
+  }
+
+  for (const [key, limit] of Object.entries(value)) {
+    if (key === 'onLimit') {
+      if (!['reject', 'queue'].includes(limit)) {
+        return 'rateLimit.onLimit debe ser "reject" o "queue"';
+      }
+    } else if (!NUMERIC_LIMITS.includes(key)) {
+      return `rateLimit.${key} desconocido`;
+    } else if (!Number.isInteger(limit) || limit < 0) {
+      return `rateLimit.${key} debe ser un entero mayor o igual a 0`;
+    }
+  }
+
+  return null;
+}
+
+// Control de ritmo de envío por sesión para evitar bloqueos de WhatsApp:
+// ventanas de minuto/hora/día, pausa mínima con variación aleatoria entre envíos
+// y tope diario de contactos nuevos (números a los que nunca se les escribió ni nos escribieron).
+class RateLimiter {
+  constructor(settings) {
+    this.settings = settings;
+    this.store = new JsonStore('rate-limits.json', { sessions: {} });
+    this.nextSlot = new Map(); // sessionPhone -> timestamp del próximo envío permitido
+    this.lastContactPrune = 0;
+  }
+
+  getLimits(sessionPhone) {
+    return { ...DEFAULT_LIMITS, ...this.settings.get(sessionPhone).rateLimit };
+  }
+
+  getSession(sessionPhone) {
+    const data = this.store.load();
+    if (!data.sessions[sessionPhone]) {
+      data.sessions[sessionPhone] = { sends: [], contacts: {} };
+    }
+    return data.sessions[sessionPhone];
+  }
+
+  contactKey(to) {
+    return String(to).includes('@g.us') ? String(to) : String(to).split('@')[0].replace(/[^0-9]/g, '');
+  }
+
+  // Descartar envíos fuera de la ventana de 24 hs
+  prune(session, now) {
+    const cutoff = now - DAY;
+    while (session.sends.length > 0 && session.sends[0] < cutoff) {
+      session.sends.shift();
+    }
+  }
+
+  // Olvidar contactos sin actividad en RATE_LIMIT_CONTACT_RETENTION_DAYS (como mucho una vez por hora)
+  pruneContacts(now) {
+    if (now - this.lastContactPrune < HOUR) {
+      return;
+    }
+
+    this.lastContactPrune = now;
+    const cutoff = now - CONTACT_RETENTION_MS;
+    let removed = 0;
+
+    for (const session of Object.values(this.store.load().sessions)) {
+      for (const [contact, info] of Object.entries(session.contacts)) {
+        if (Date.parse(info.lastActivityAt || info.firstContactAt) < cutoff) {
+          delete session.contacts[contact];
+          removed++;
+        }
+      }
+    }
+
+    if (removed > 0) {
+      this.store.save(1000);
+      logger.info(`🧹 ${removed} contactos sin actividad eliminados del control de envíos`);
+    }
+  }
+
+  getUsageCounts(session, now) {
+    this.prune(session, now);
+
+    const countSince = since => session.sends.filter(timestamp => timestamp > now - since).length;
+    const newContacts = Object.values(session.contacts)
+      .filter(contact => contact.initiatedBy === 'us' && Date.parse(contact.firstContactAt) > now - DAY)
+      .length;
+
+    return {
+      lastMinute: countSince(MINUTE),
+      lastHour: countSince(HOUR),
+      lastDay: session.sends.length,
+      newContactsToday: newContacts
+    };
+  }
+
+  // Cuánto falta para que salga de la ventana el envío que hace superar el límite
+  retryAfter(session, window, limit, now) {
+    const inWindow = session.sends.filter(timestamp => timestamp > now - window);
+    const oldest = inWindow[inWindow.length - limit];
+    return oldest !== undefined ? oldest + window - now : window;
+  }
+
+  // Reservar un turno de envío. Devuelve la reserva ({ waitMs, ... }) o lanza RateLimitError.
+  // Si el envío falla, release() devuelve el cupo.
+  acquire(sessionPhone, to) {
+    const limits = this.getLimits(sessionPhone);
+    const session = this.getSession(sessionPhone);
+    const now = Date.now();
+    const usage = this.getUsageCounts(session, now);
+    const contact = this.contactKey(to);
+    const isNewContact = !session.contacts[contact];
+
+    const windows = [
+      ['minuto', MINUTE, limits.perMinute, usage.lastMinute],
+      ['hora', HOUR, limits.perHour, usage.lastHour],
+      ['día', DAY, limits.perDay, usage.lastDay]
+    ];
+
+    for (const [name, window, limit, used] of windows) {
+      if (limit > 0 && used >= limit) {
+        throw new RateLimitError(
+          `Límite de envíos por ${name} alcanzado (${limit})`,
+          this.retryAfter(session, window, limit, now),
+          { limit: name, usage }
+        );
+      }
+    }
+
+    if (isNewContact && limits.newContactsPerDay > 0 && usage.newContactsToday >= limits.newContactsPerDay) {
+      const firstContacts = Object.values(session.contacts)
+        .filter(item => item.initiatedBy === 'us')
+        .map(item => Date.parse(item.firstContactAt))
+        .filter(timestamp => timestamp > now - DAY)
+        .sort((a, b) => a - b);
+
+      throw new RateLimitError(
+        `Límite diario de contactos nuevos alcanzado (${limits.newContactsPerDay})`,
+        firstContacts[firstContacts.length - limits.newContactsPerDay] + DAY - now,
+        { limit: 'newContactsPerDay', usage }
+      );
+    }
+
+    // Pausa mínima entre envíos: cada envío toma el próximo turno libre
+    const slot = Math.max(now, this.nextSlot.get(sessionPhone) || 0);
+    const waitMs = slot - now;
+
+    if (waitMs > limits.maxWaitMs) {
+      throw new RateLimitError('Demasiados envíos simultáneos para esta sesión', waitMs, { limit: 'minInterval', usage });
+    }
+
+    this.nextSlot.set(sessionPhone, slot + limits.minIntervalMs + Math.round(Math.random() * limits.jitterMs));
+
+    const slotAt = new Date(slot).toISOString();
+    session.sends.push(slot);
+    if (isNewContact) {
+      session.contacts[contact] = { firstContactAt: slotAt, initiatedBy: 'us', lastActivityAt: slotAt };
+    } else {
+      session.contacts[contact].lastActivityAt = slotAt;
+    }
+    this.store.save(1000);
+    this.pruneContacts(now);
+
+    return { waitMs, slot, contact, isNewContact };
+  }
+
+  // Esperar el turno de envío (lo usa la instancia antes de cada mensaje). Devuelve la reserva.
+  async waitForSlot(sessionPhone, to) {
+    const reservation = this.acquire(sessionPhone, to);
+
+    if (reservation.waitMs > 0) {
+      logger.debug(`⏳ Esperando ${reservation.waitMs}ms antes de enviar desde ${sessionPhone}`);
+      await new Promise(resolve => setTimeout(resolve, reservation.waitMs));
+    }
+
+    return reservation;
+  }
+
+  // El envío reservado falló: no cuenta para los límites ni convierte al destinatario en contacto conocido
+  release(sessionPhone, reservation) {
+    if (!reservation) {
+      return;
+    }
+
+    const session = this.getSession(sessionPhone);
+    const index = session.sends.lastIndexOf(reservation.slot);
+    if (index !== -1) {
+      session.sends.splice(index, 1);
+    }
+
+    const contact = session.contacts[reservation.contact];
+    if (reservation.isNewContact && contact?.initiatedBy === 'us' && contact.firstContactAt === new Date(reservation.slot).toISOString()) {
+      delete session.contacts[reservation.contact];
+    }
+
+    this.store.save(1000);
+  }
+
+  // Un contacto que nos escribió deja de ser "nuevo"
+  markKnown(sessionPhone, from) {
+    const session = this.getSession(sessionPhone);
+    const contact = this.contactKey(from);
+
+    const now = new Date().toISOString();
+
+    if (!session.contacts[contact]) {
+      session.contacts[contact] = { firstContactAt: now, initiatedBy: 'them', lastActivityAt: now };
+    } else {
+      session.contacts[contact].lastActivityAt = now;
+    }
+    this.store.save(1000);
+    this.pruneContacts(Date.now());
+  }
+
+  // Qué hacer con un envío que supera el límite: rechazar (429) o encolar
+  getOnLimit(sessionPhone) {
+    return this.getLimits(sessionPhone).onLimit;
+  }
+
+  // Límites y uso actual de una sesión (para el estado de la conexión)
+  getUsage(sessionPhone) {
+    const now = Date.now();
+    const nextSlot = this.nextSlot.get(sessionPhone) || 0;
+
+    return {
+      limits: this.getLimits(sessionPhone),
+      usage: this.getUsageCounts(this.getSession(sessionPhone), now),
+      nextSendAt: nextSlot > now ? new Date(nextSlot).toISOString() : null
+    };
+  }
+
+  flush() {
+    this.store.saveNow();
+  }
+}
+
+export default RateLimiter;
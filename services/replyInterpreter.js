@@ -0,0 +1,271 @@
+import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
+import { getLanguage } from '../utils/dateFormatter.js';
+
+const HOUR = 60 * 60 * 1000;
+
+export const REPLY_INTENTS = ['confirm', 'cancel', 'reschedule'];
+
+// Palabras clave por idioma. Se evalúan en este orden: reprogramar, cancelar, confirmar
+// ("no puedo ir, ¿lo pasamos al jueves?" es reprogramar; "no confirmo" es cancelar).
+// Las palabras sueltas de hasta 3 letras (si, no, ok) solo cuentan si son toda la respuesta,
+// sin contar saludos ni agradecimientos ("Hola, sí", "Sí, gracias", "no, gracias").
+export const DEFAULT_REPLY_KEYWORDS = {
+  es: {
+    reschedule: ['reprogramar', 'reprogramo', 'reprogramarlo', 'cambiar el turno', 'cambiar la hora', 'cambiar el dia', 'otro dia', 'otro horario', 'otra hora', 'otra fecha', 'pasarlo', 'mover el turno', 'posponer'],
+    cancel: ['no', 'cancelo', 'cancelar', 'cancela', 'no puedo', 'no voy', 'no podre', 'no asistire', 'no confirmo', 'no me es posible', 'anular', 'anulo', '❌'],
+    confirm: ['si', 'ok', 'confirmo', 'confirmado', 'confirmada', 'confirmar', 'si voy', 'voy a ir', 'ahi voy', 'ahi estare', 'alli estare', 'asistire', 'perfecto', 'dale', 'de acuerdo', 'claro', 'no hay problema', 'sin problema', '👍', '✅']
+  },
+  pt: {
+    reschedule: ['remarcar', 'reagendar', 'remarco', 'mudar o horario', 'mudar a data', 'outro dia', 'outro horario', 'outra data', 'adiar'],
+    cancel: ['nao', 'cancelo', 'cancelar', 'cancela', 'nao posso', 'nao vou', 'nao poderei', 'nao confirmo', 'desmarcar', '❌'],
+    confirm: ['sim', 'ok', 'confirmo', 'confirmado', 'confirmada', 'confirmar', 'vou sim', 'eu vou', 'sim vou', 'estarei ai', 'estarei la', 'combinado', 'certo', 'perfeito', 'sem problema', 'nao tem problema', '👍', '✅']
+  },
+  en: {
+    reschedule: ['reschedule', 'change the time', 'change the date', 'another day', 'another time', 'different time', 'move it', 'postpone'],
+    cancel: ['no', 'cancel', 'cancelled', 'canceled', "can't make it", 'cant make it', 'cannot make it', "won't make it", 'wont make it', 'not coming', '❌'],
+    confirm: ['yes', 'yep', 'ok', 'okay', 'confirm', 'confirmed', "i'll be there", 'ill be there', 'see you', 'sure', 'sounds good', 'no problem', '👍', '✅']
+  }
+};
+
+// Saludos y agradecimientos que se ignoran al buscar palabras sueltas
+const COURTESY_WORDS = {
+  es: ['hola', 'buenas', 'buen dia', 'buenos dias', 'buenas tardes', 'buenas noches', 'gracias', 'muchas gracias', 'mil gracias', 'saludos', 'por favor', 'disculpe', 'doctor', 'doctora'],
+  pt: ['ola', 'oi', 'bom dia', 'boa tarde', 'boa noite', 'obrigado', 'obrigada', 'muito obrigado', 'muito obrigada', 'por favor', 'abraco', 'abracos'],
+  en: ['hi', 'hello', 'hey', 'thanks', 'thank you', 'thanks a lot', 'thx', 'please', 'cheers', 'regards']
+};
+
+// Una negación al principio o al final ("claro que no", "no, el martes no puedo") cancela aunque haya
+// palabras de confirmación; salvo las expresiones que confirman ("no hay problema")
+const NEGATION_WORDS = { es: ['no'], pt: ['nao'], en: ['no', 'not'] };
+const NEGATION_EXCEPTIONS = {
+  es: ['no hay problema', 'no hay drama', 'no se'],
+  pt: ['nao tem problema', 'nao se preocupe', 'nao sei'],
+  en: ['no problem', 'no worries']
+};
+
+// Lista de un idioma, o la de todos si el idioma no tiene una propia
+function forLanguage(lists, language) {
+  return lists[language] || [...new Set(Object.values(lists).flat())];
+}
+
+// Quitar mayúsculas, acentos, signos de puntuación y espacios repetidos ("¡Sí, confirmó!" -> "si confirmo")
+export function normalizeReply(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[.,;:!¡?¿"()[\]{}*_~\-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Validar la configuración "replyKeywords" de una sesión (mensaje de error o null)
+export function validateReplyKeywords(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return 'replyKeywords debe ser un objeto { "es": { "confirm": [...], "cancel": [...], "reschedule": [...] } }';
+  }
+
+  for (const [language, intents] of Object.entries(value)) {
+    if (!/^[a-z]{2,3}$/.test(language)) {
+      return `replyKeywords.${language}: el idioma debe ser un código de 2 o 3 letras (es, pt, en)`;
+    }
+    if (typeof intents !== 'object' || intents === null || Array.isArray(intents)) {
+      return `replyKeywords.${language} debe ser un objeto { confirm, cancel, reschedule }`;
+    }
+
+    for (const [intent, keywords] of Object.entries(intents)) {
+      if (!REPLY_INTENTS.includes(intent)) {
+        return `replyKeywords.${language}.${intent} desconocido (permitidos: ${REPLY_INTENTS.join(', ')})`;
+      }
+      if (!Array.isArray(keywords) || keywords.length > 100 ||
+        !keywords.every(keyword => typeof keyword === 'string' && normalizeReply(keyword) && keyword.length <= 100)) {
+        return `replyKeywords.${language}.${intent} debe ser una lista de hasta 100 textos de hasta 100 caracteres`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Interpretación de respuestas de pacientes a los templates de turnos.
+// Vincula la respuesta con el último template pendiente enviado a ese número (o con el citado),
+// la asocia a una de sus opciones si las tiene (botón, lista, encuesta o número respondido), la clasifica
+// en confirm, cancel, reschedule o unknown y devuelve los datos para el webhook appointment.reply.
+class ReplyInterpreter {
+  constructor(history, settings) {
+    this.history = history;
+    this.settings = settings;
+    this.enabled = process.env.REPLY_INTERPRETER !== 'false';
+    this.windowMs = parseInt(process.env.REPLY_WINDOW_HOURS || '72', 10) * HOUR;
+  }
+
+  // Palabras clave de la sesión: las propias (configuración "replyKeywords") se suman a las por defecto
+  getKeywords(sessionPhone, language) {
+    const custom = this.settings.get(sessionPhone).replyKeywords || {};
+    const languages = language && (DEFAULT_REPLY_KEYWORDS[language] || custom[language])
+      ? [language]
+      : [...new Set([...Object.keys(DEFAULT_REPLY_KEYWORDS), ...Object.keys(custom)])];
+
+    return Object.fromEntries(REPLY_INTENTS.map(intent => [
+      intent,
+      [...new Set(languages.flatMap(lang => [
+        ...(DEFAULT_REPLY_KEYWORDS[lang]?.[intent] || []),
+        ...(custom[lang]?.[intent] || [])
+      ]).map(normalizeReply))]
+    ]));
+  }
+
+  // Clasificar un texto: { intent, keyword } (intent "unknown" si no coincide ninguna palabra clave)
+  classify(sessionPhone, text) {
+    const normalized = normalizeReply(text);
+    const language = getLanguage(this.settings.getLocale(sessionPhone).locale);
+
+    if (!normalized) {
+      return { intent: 'unknown', keyword: null, language };
+    }
+
+    const keywords = this.getKeywords(sessionPhone, language);
+    const padded = ` ${normalized} `;
+    const core = this.withoutCourtesy(normalized, language);
+    const find = intent => keywords[intent].find(word => word.length <= 3 && !word.includes(' ')
+      ? core === word
+      : padded.includes(` ${word} `));
+
+    for (const intent of ['reschedule', 'cancel']) {
+      const keyword = find(intent);
+      if (keyword) {
+        return { intent, keyword, language };
+      }
+    }
+
+    const negation = this.findNegation(core, language);
+    if (negation) {
+      return { intent: 'cancel', keyword: negation, language };
+    }
+
+    const keyword = find('confirm');
+    if (keyword) {
+      return { intent: 'confirm', keyword, language };
+    }
+
+    return { intent: 'unknown', keyword: null, language };
+  }
+
+  // Texto sin saludos ni agradecimientos ("hola si gracias" -> "si")
+  withoutCourtesy(normalized, language) {
+    let padded = ` ${normalized} `;
+
+    for (const phrase of forLanguage(COURTESY_WORDS, language).sort((a, b) => b.length - a.length)) {
+      while (padded.includes(` ${phrase} `)) {
+        padded = padded.replace(` ${phrase} `, ' ');
+      }
+    }
+
+    return padded.trim();
+  }
+
+  // Negación al principio o al final de la respuesta (null si no hay)
+  findNegation(core, language) {
+    const padded = ` ${core} `;
+    if (forLanguage(NEGATION_EXCEPTIONS, language).some(phrase => padded.includes(` ${phrase} `))) {
+      return null;
+    }
+
+    const words = core.split(' ');
+    return forLanguage(NEGATION_WORDS, language).find(word => words[0] === word || words[words.length - 1] === word) || null;
+  }
+
+  // Template al que responde el paciente: el citado, o el último enviado a ese número dentro de la ventana
+  // (REPLY_WINDOW_HOURS) cuyo turno todavía no fue confirmado ni cancelado
+  findOutstandingTemplate(sessionPhone, parsed) {
+    const records = this.history.load(sessionPhone);
+    const peer = this.history.cleanPeer(parsed.from);
+
+    if (parsed.quotedMessageId) {
+      const quoted = this.history.findById(sessionPhone, parsed.quotedMessageId);
+      if (quoted?.direction === 'out' && quoted.appointmentId) {
+        return quoted;
+      }
+    }
+
+    const cutoff = new Date(Date.now() - this.windowMs).toISOString();
+    const answered = new Set(records
+      .filter(record => record.direction === 'in' && record.peer === peer && ['confirm', 'cancel'].includes(record.intent))
+      .map(record => record.appointmentId));
+
+    for (let index = records.length - 1; index >= 0; index--) {
+      const record = records[index];
+      if (record.at < cutoff) {
+        break;
+      }
+      if (record.direction === 'out' && record.peer === peer && record.type === 'template' &&
+        record.status !== 'failed' && record.appointmentId && !answered.has(record.appointmentId)) {
+        return record;
+      }
+    }
+
+    return null;
+  }
+
+  // Opción del template elegida: id del botón/fila/encuesta, número ("2", "2️⃣") o el texto exacto de la opción
+  matchOption(template, parsed) {
+    const options = template.options || [];
+
+    if (options.length === 0) {
+      return null;
+    }
+
+    if (parsed.selectedId) {
+      const selected = options.find(option => option.id === parsed.selectedId);
+      if (selected) {
+        return selected;
+      }
+    }
+
+    const normalized = normalizeReply(String(parsed.text).replace(/[\ufe0f\u20e3]/g, ''));
+    if (/^\d{1,2}$/.test(normalized)) {
+      return options[parseInt(normalized, 10) - 1] || null;
+    }
+
+    return options.find(option => normalizeReply(option.text) === normalized) || null;
+  }
+
+  // Interpretar un mensaje entrante (parseIncomingMessage). null si no responde a ningún turno.
+  interpret(sessionPhone, parsed) {
+    if (!this.enabled || parsed.isGroup || !parsed.text) {
+      return null;
+    }
+
+    const template = this.findOutstandingTemplate(sessionPhone, parsed);
+    if (!template) {
+      return null;
+    }
+
+    // Con opción elegida, la intención es su id (si es confirm, cancel o reschedule) o la de su texto
+    const option = this.matchOption(template, parsed);
+    const { intent, keyword, language } = option && REPLY_INTENTS.includes(option.id)
+      ? { intent: option.id, keyword: null, language: getLanguage(this.settings.getLocale(sessionPhone).locale) }
+      : this.classify(sessionPhone, option ? option.text : parsed.text);
+    metrics.recordReply(sessionPhone, intent);
+    logger.info(`💬 Respuesta de ${parsed.from} al turno ${template.appointmentId}: ${intent}`, {
+      from: parsed.from,
+      appointmentId: template.appointmentId,
+      intent
+    });
+
+    return {
+      appointmentId: template.appointmentId,
+      messageType: template.messageType,
+      templateMessageId: template.id,
+      templateSentAt: template.at,
+      intent,
+      keyword,
+      language,
+      optionId: option?.id || null,
+      format: template.format || null
+    };
+  }
+}
+
+export default ReplyInterpreter;
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { zonedDateTimeToDate } from '../utils/dateFormatter.js';
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// Convertir "24h", "90m" o "2d" a milisegundos
+export function parseDuration(value) {
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+// Programador de envíos de templates (recordatorios) persistente.
+// Al vencer, el envío se delega al outbox, que maneja sesiones desconectadas y reintentos.
+class Scheduler {
+  constructor(manager) {
+    this.manager = manager;
+    this.store = new JsonStore('scheduled.json', { jobs: {} });
+    this.tickInterval = parseInt(process.env.SCHEDULER_INTERVAL_MS || '15000', 10);
+    this.interval = null;
+  }
+
+  start() {
+    const data = this.store.load();
+    const pending = Object.values(data.jobs).filter(job => job.status === 'scheduled');
+    const missed = pending.filter(job => job.sendAt <= new Date().toISOString());
+
+    logger.info(`⏰ Scheduler iniciado - ${pending.length} envíos programados (${missed.length} atrasados)`);
+
+    // Procesar inmediatamente los envíos que vencieron mientras el servicio estuvo caído
+    this.tick();
+    this.interval = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.store.saveNow();
+  }
+
+  // Fecha y hora de la cita en la zona horaria de la clínica
+  getAppointmentTime(sessionPhone, templateData) {
+    const { appointmentData } = templateData;
+    const { timeZone } = this.manager.settings.getLocale(sessionPhone, templateData);
+    const date = zonedDateTimeToDate(appointmentData.date, appointmentData.time, timeZone);
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  // Calcular fecha de envío a partir de sendAt (ISO) o sendBefore ("24h" antes de la cita)
+  resolveSendAt({ sendAt, sendBefore, appointmentTime }) {
+    if (sendAt) {
+      const date = new Date(sendAt);
+      if (isNaN(date.getTime())) {
+        throw new ValidationError(`sendAt inválido: ${sendAt}`);
+      }
+      return date;
+    }
+
+    const offset = parseDuration(sendBefore);
+    if (offset === null) {
+      throw new ValidationError(`sendBefore inválido: ${sendBefore} (usar por ejemplo "24h", "90m" o "2d")`);
+    }
+
+    if (!appointmentTime) {
+      throw new ValidationError('No se pudo calcular la fecha de la cita desde appointmentData.date/time');
+    }
+
+    return new Date(appointmentTime.getTime() - offset);
+  }
+
+  // Programar un template. Si ya existe uno pendiente para la misma cita y tipo, se reprograma.
+  schedule(sessionPhone, { appointmentId, messageType, phone, templateData, sendAt, sendBefore }) {
+    const appointmentTime = this.getAppointmentTime(sessionPhone, templateData);
+    const sendDate = this.resolveSendAt({ sendAt, sendBefore, appointmentTime });
+
+    if (appointmentTime && appointmentTime.getTime() <= Date.now()) {
+      throw new ValidationError('La cita ya pasó, no se puede programar el envío');
+    }
+
+    const data = this.store.load();
+    const now = new Date().toISOString();
+    const existing = this.find(sessionPhone, appointmentId, messageType);
+
+    const job = existing || {
+      id: crypto.randomUUID(),
+      sessionPhone,
+      appointmentId: String(appointmentId),
+      messageType,
+      createdAt: now
+    };
+
+    Object.assign(job, {
+      phone,
+      templateData,
+      sendAt: sendDate.toISOString(),
+      sendBefore: sendAt ? null : sendBefore,
+      appointmentAt: appointmentTime ? appointmentTime.toISOString() : null,
+      status: 'scheduled',
+      outboxJobId: null,
+      updatedAt: now
+    });
+
+    data.jobs[job.id] = job;
+    this.store.saveNow();
+
+    logger.info(`⏰ Template ${existing ? 'reprogramado' : 'programado'} - ID: ${appointmentId}, Tipo: ${messageType}, Sesión: ${sessionPhone}, Envío: ${job.sendAt}`);
+
+    return job;
+  }
+
+  // Buscar el envío pendiente de una cita y tipo de mensaje
+  find(sessionPhone, appointmentId, messageType) {
+    return this.list(sessionPhone, { appointmentId, status: 'scheduled' })
+      .find(job => job.messageType === messageType) || null;
+  }
+
+  list(sessionPhone, { appointmentId = null, status = null } = {}) {
+    return Object.values(this.store.load().jobs)
+      .filter(job => job.sessionPhone === sessionPhone &&
+        (!appointmentId || job.appointmentId === String(appointmentId)) &&
+        (!status || job.status === status))
+      .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  }
+
+  // Cancelar los envíos pendientes de una cita (opcionalmente de un solo tipo)
+  cancel(sessionPhone, appointmentId, messageType = null) {
+    const jobs = this.list(sessionPhone, { appointmentId, status: 'scheduled' })
+      .filter(job => !messageType || job.messageType === messageType);
+
+    const now = new Date().toISOString();
+    for (const job of jobs) {
+      job.status = 'cancelled';
+      job.updatedAt = now;
+    }
+
+    if (jobs.length > 0) {
+      this.store.saveNow();
+      logger.info(`🚫 ${jobs.length} envíos programados cancelados - ID: ${appointmentId}, Sesión: ${sessionPhone}`);
+    }
+
+    return jobs;
+  }
+
+  // Reprogramar los envíos pendientes de una cita (nueva fecha de envío y/o nuevos datos de la cita)
+  reschedule(sessionPhone, appointmentId, { messageType = null, sendAt, sendBefore, appointmentData }) {
+    const jobs = this.list(sessionPhone, { appointmentId, status: 'scheduled' })
+      .filter(job => !messageType || job.messageType === messageType);
+
+    return jobs.map(job => {
+      const templateData = appointmentData
+        ? { ...job.templateData, appointmentData: { ...job.templateData.appointmentData, ...appointmentData } }
+        : job.templateData;
+
+      // Si no se indica nueva fecha, se mantiene la relativa original (o la fecha absoluta)
+      const timing = sendAt || sendBefore
+        ? { sendAt, sendBefore }
+        : { sendAt: job.sendBefore ? null : job.sendAt, sendBefore: job.sendBefore };
+
+      return this.schedule(sessionPhone, {
+        appointmentId: job.appointmentId,
+        messageType: job.messageType,
+        phone: job.phone,
+        templateData,
+        ...timing
+      });
+    });
+  }
+
+  // Enviar al outbox los templates vencidos
+  tick() {
+    const data = this.store.load();
+    const now = new Date().toISOString();
+    let changed = false;
+
+    for (const job of Object.values(data.jobs)) {
+      if (job.status !== 'scheduled' || job.sendAt > now) {
+        continue;
+      }
+
+      changed = true;
+      job.updatedAt = now;
+
+      // No enviar recordatorios de citas que ya pasaron (por ejemplo, después de una caída larga)
+      if (job.appointmentAt && job.appointmentAt <= now) {
+        job.status = 'expired';
+        logger.warn(`⌛ Envío programado vencido sin enviar - ID: ${job.appointmentId}, Sesión: ${job.sessionPhone}`);
+        continue;
+      }
+
+      const outboxJob = this.manager.outbox.enqueue(job.sessionPhone, 'template', {
+        phone: job.phone,
+        templateData: job.templateData
+      });
+
+      job.status = 'fired';
+      job.firedAt = now;
+      job.outboxJobId = outboxJob.id;
+
+      logger.info(`🔔 Envío programado disparado - ID: ${job.appointmentId}, Tipo: ${job.messageType}, Job: ${outboxJob.id}`);
+    }
+
+    if (changed) {
+      this.store.saveNow();
+    }
+  }
+}
+
+export default Scheduler;
@@ -0,0 +1,133 @@
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+const MAX_PENDING = 5000;
+
+// Formatos interactivos que WhatsApp puede no mostrar según la cuenta y el teléfono del destinatario.
+// El texto plano con opciones numeradas siempre funciona y es el último recurso.
+export const INTERACTIVE_FORMATS = ['urlButtons', 'buttons', 'list', 'poll'];
+
+// Las encuestas funcionan en cualquier cuenta; los botones y listas solo se intentan desde cuentas business
+const BUSINESS_ONLY = ['urlButtons', 'buttons', 'list'];
+
+// Matriz de capacidades por sesión: qué formatos se entregaron realmente y cuáles fallaron.
+// Un formato pasa a "unsupported" después de CAPABILITY_MAX_FAILURES fallos seguidos y se vuelve
+// a probar pasadas CAPABILITY_RETRY_HOURS. Una entrega o una respuesta lo marca "supported".
+class SessionCapabilities {
+  constructor() {
+    this.store = new JsonStore('capabilities.json', { sessions: {} });
+    this.maxFailures = Math.max(1, parseInt(process.env.CAPABILITY_MAX_FAILURES || '2', 10));
+    this.retryMs = parseInt(process.env.CAPABILITY_RETRY_HOURS || '168', 10) * HOUR;
+    this.pending = new Map(); // sessionPhone:messageId -> formato, hasta que llegue la entrega
+  }
+
+  emptyEntry() {
+    return { status: 'unknown', sent: 0, delivered: 0, failed: 0, consecutiveFailures: 0, lastError: null, retryAt: null, updatedAt: null };
+  }
+
+  // Matriz de una sesión con todos los formatos (los no usados quedan en "unknown")
+  get(sessionPhone) {
+    const formats = this.store.load().sessions[sessionPhone] || {};
+    return Object.fromEntries(INTERACTIVE_FORMATS.map(format => [format, { ...this.emptyEntry(), ...formats[format] }]));
+  }
+
+  entry(sessionPhone, format) {
+    const data = this.store.load();
+    const formats = data.sessions[sessionPhone] || (data.sessions[sessionPhone] = {});
+    return formats[format] || (formats[format] = this.emptyEntry());
+  }
+
+  // Se puede intentar el formato: no está marcado como no soportado (o ya pasó la espera)
+  isAllowed(sessionPhone, format, { isBusinessAccount = false } = {}) {
+    if (BUSINESS_ONLY.includes(format) && !isBusinessAccount) {
+      return false;
+    }
+
+    const entry = this.get(sessionPhone)[format];
+    return entry.status !== 'unsupported' || (entry.retryAt !== null && Date.parse(entry.retryAt) <= Date.now());
+  }
+
+  // Formatos a probar en orden: el preferido (si se puede) y después texto numerado
+  negotiate(sessionPhone, preferred, options = {}) {
+    return preferred !== 'text' && this.isAllowed(sessionPhone, preferred, options) ? [preferred, 'text'] : ['text'];
+  }
+
+  recordSent(sessionPhone, format, messageId) {
+    const entry = this.entry(sessionPhone, format);
+    entry.sent++;
+    entry.updatedAt = new Date().toISOString();
+    this.store.save();
+
+    if (messageId) {
+      if (this.pending.size >= MAX_PENDING) {
+        this.pending.delete(this.pending.keys().next().value);
+      }
+      this.pending.set(`${sessionPhone}:${messageId}`, format);
+    }
+  }
+
+  // El formato funcionó: se entregó o el paciente respondió con una de sus opciones
+  recordSupported(sessionPhone, format) {
+    const entry = this.entry(sessionPhone, format);
+    if (entry.status !== 'supported') {
+      logger.info(`✅ Formato ${format} soportado en ${sessionPhone}`);
+    }
+
+    entry.status = 'supported';
+    entry.delivered++;
+    entry.consecutiveFailures = 0;
+    entry.retryAt = null;
+    entry.updatedAt = new Date().toISOString();
+    this.store.save();
+  }
+
+  recordFailure(sessionPhone, format, error) {
+    const entry = this.entry(sessionPhone, format);
+    entry.failed++;
+    entry.consecutiveFailures++;
+    entry.lastError = error?.message || String(error || 'unknown');
+    entry.updatedAt = new Date().toISOString();
+
+    if (entry.consecutiveFailures >= this.maxFailures) {
+      entry.status = 'unsupported';
+      entry.retryAt = this.retryMs > 0 ? new Date(Date.now() + this.retryMs).toISOString() : null;
+      logger.warn(`⚠️ Formato ${format} marcado como no soportado en ${sessionPhone} después de ${entry.consecutiveFailures} fallos`);
+    }
+
+    this.store.save();
+  }
+
+  // Estado de entrega de un mensaje enviado con formato interactivo (MessageTracker)
+  recordStatus(sessionPhone, messageId, status) {
+    const key = `${sessionPhone}:${messageId}`;
+    const format = this.pending.get(key);
+
+    if (!format) {
+      return;
+    }
+
+    if (status === 'delivered' || status === 'read') {
+      this.pending.delete(key);
+      this.recordSupported(sessionPhone, format);
+    } else if (status === 'failed') {
+      this.pending.delete(key);
+      this.recordFailure(sessionPhone, format, 'Entrega fallida');
+    }
+  }
+
+  // Olvidar lo aprendido (todos los formatos o uno) para volver a probar
+  reset(sessionPhone, format = null) {
+    const data = this.store.load();
+
+    if (format) {
+      delete data.sessions[sessionPhone]?.[format];
+    } else {
+      delete data.sessions[sessionPhone];
+    }
+
+    this.store.saveNow();
+  }
+}
+
+export default SessionCapabilities;
@@ -0,0 +1,148 @@
+import logger from '../utils/logger.js';
+
+// Estados en los que una sesión restaurada ya no necesita atención del restaurador
+const SETTLED_STATES = ['connected', 'qr_ready', 'pairing_code_ready', 'logged_out', 'failed', 'disconnected'];
+// Estado con el que nace cada instancia: solo cuenta como resuelto si llega por un cambio (desconexión no recuperable)
+const INITIAL_STATE = 'disconnected';
+
+// Restauración automática de las sesiones guardadas al iniciar el servicio.
+// Las levanta de a pocas (AUTO_RESTORE_CONCURRENCY) con una pausa aleatoria entre cada una,
+// esperando que cada conexión se resuelva antes de pasar a la siguiente, para no abrir todas juntas.
+class SessionRestorer {
+  constructor(manager) {
+    this.manager = manager;
+    this.enabled = process.env.AUTO_RESTORE !== 'false';
+    this.concurrency = Math.max(1, parseInt(process.env.AUTO_RESTORE_CONCURRENCY || '2', 10));
+    this.delayMs = parseInt(process.env.AUTO_RESTORE_DELAY_MS || '1000', 10);
+    this.jitterMs = parseInt(process.env.AUTO_RESTORE_JITTER_MS || '3000', 10);
+    this.settleTimeoutMs = parseInt(process.env.AUTO_RESTORE_SETTLE_TIMEOUT_MS || '30000', 10);
+
+    this.status = 'idle'; // idle | restoring | done | disabled
+    this.sessions = new Map(); // phoneNumber -> { status, state, error }
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.running = null;
+  }
+
+  // Listo para recibir tráfico: la restauración terminó o está desactivada
+  isReady() {
+    return this.status === 'done' || this.status === 'disabled';
+  }
+
+  // La sesión todavía espera su turno (el outbox no debe adelantarse a levantarla)
+  isPending(phoneNumber) {
+    return this.sessions.get(phoneNumber)?.status === 'pending';
+  }
+
+  start() {
+    if (!this.running) {
+      this.running = this.run().catch(error => {
+        logger.error('❌ Error restaurando sesiones:', error);
+        this.status = 'done';
+        this.finishedAt = new Date().toISOString();
+      });
+    }
+    return this.running;
+  }
+
+  async run() {
+    if (!this.enabled) {
+      this.status = 'disabled';
+      logger.info('⏸️ Restauración automática de sesiones desactivada (AUTO_RESTORE=false)');
+      return;
+    }
+
+    this.status = 'restoring';
+    this.startedAt = new Date().toISOString();
+
+    const stored = await this.manager.authStore.listSessions();
+    for (const phoneNumber of stored) {
+      const disabled = this.manager.isSessionDisabled(phoneNumber);
+      this.sessions.set(phoneNumber, { status: disabled ? 'skipped' : 'pending', state: null, error: null });
+    }
+
+    const queue = stored.filter(phoneNumber => this.isPending(phoneNumber));
+    logger.info(`🔄 Restaurando ${queue.length} sesiones (${stored.length - queue.length} desactivadas, de a ${this.concurrency})`);
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        await this.restore(queue.shift());
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+    this.status = 'done';
+    this.finishedAt = new Date().toISOString();
+
+    const { restored, failed } = this.getProgress();
+    logger.info(`✅ Restauración terminada: ${restored} restauradas, ${failed} con error`);
+  }
+
+  async restore(phoneNumber) {
+    const entry = this.sessions.get(phoneNumber);
+    await new Promise(resolve => setTimeout(resolve, this.delayMs + Math.round(Math.random() * this.jitterMs)));
+
+    // Se pudo haber desactivado o levantado por otro lado mientras esperaba
+    if (this.manager.isSessionDisabled(phoneNumber)) {
+      entry.status = 'skipped';
+      return;
+    }
+
+    entry.status = 'restoring';
+
+    try {
+      const instance = await this.manager.getInstance(phoneNumber);
+      entry.state = await this.waitUntilSettled(instance);
+      entry.status = ['failed', 'logged_out'].includes(entry.state) ? 'failed' : 'restored';
+      logger.info(`🔄 Instancia restaurada para ${phoneNumber} (${entry.state})`);
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      logger.warn(`⚠️ No se pudo restaurar instancia para ${phoneNumber}:`, error.message);
+    }
+  }
+
+  // Esperar a que la conexión se resuelva (o el tiempo máximo) antes de liberar el turno.
+  // Una instancia recién creada todavía no intentó conectar: se espera su primer cambio de estado.
+  waitUntilSettled(instance) {
+    if (instance.connectionState !== INITIAL_STATE && SETTLED_STATES.includes(instance.connectionState)) {
+      return Promise.resolve(instance.connectionState);
+    }
+
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timer);
+        instance.off('state', onState);
+        resolve(instance.connectionState);
+      };
+      const onState = ({ state }) => {
+        if (SETTLED_STATES.includes(state)) {
+          finish();
+        }
+      };
+      const timer = setTimeout(finish, this.settleTimeoutMs);
+      instance.on('state', onState);
+    });
+  }
+
+  // Progreso para /api/health y /api/ready
+  getProgress() {
+    const entries = [...this.sessions.values()];
+    const count = status => entries.filter(entry => entry.status === status).length;
+
+    return {
+      status: this.status,
+      total: entries.length,
+      restored: count('restored'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      pending: count('pending') + count('restoring'),
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      sessions: Object.fromEntries(this.sessions)
+    };
+  }
+}
+
+export default SessionRestorer;
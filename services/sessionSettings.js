@@ -0,0 +1,159 @@
+import JsonStore from '../utils/jsonStore.js';
+import { ValidationError } from '../utils/errors.js';
+import { DEFAULT_LOCALE, DEFAULT_TIMEZONE, isValidLocale, isValidTimeZone } from '../utils/dateFormatter.js';
+import { validateRateLimit } from './rateLimiter.js';
+import { COUNTRIES, isSupportedCountry } from '../utils/phoneNumber.js';
+import { validateReconnectPolicy } from '../utils/reconnectPolicy.js';
+import { validateReplyKeywords } from './replyInterpreter.js';
+
+// Configuraciones editables por API y su validación (devuelven mensaje de error o null)
+const EDITABLE_SETTINGS = {
+  locale: value => isValidLocale(value) ? null : `locale inválido: ${value} (ej: es-AR, pt-BR, en-US)`,
+  timeZone: value => isValidTimeZone(value) ? null : `timeZone inválido: ${value} (ej: America/Sao_Paulo)`,
+  rateLimit: validateRateLimit,
+  reconnect: validateReconnectPolicy,
+  replyKeywords: validateReplyKeywords,
+  requireWhatsApp: value => typeof value === 'boolean' ? null : 'requireWhatsApp debe ser true o false',
+  defaultCountry: value => isSupportedCountry(value) ? null : `defaultCountry inválido: ${value} (soportados: ${Object.keys(COUNTRIES).join(', ')})`
+};
+
+// Datos descriptivos de la sesión (no afectan el funcionamiento)
+const METADATA_FIELDS = {
+  name: value => typeof value === 'string' && value.trim() && value.length <= 100 ? null : 'name debe ser un texto de hasta 100 caracteres',
+  locationId: value => (typeof value === 'string' || Number.isInteger(value)) && String(value).length <= 100
+    ? null
+    : 'locationId debe ser un texto o número de hasta 100 caracteres',
+  tags: value => Array.isArray(value) && value.length <= 20 && value.every(tag => typeof tag === 'string' && tag.trim() && tag.length <= 50)
+    ? null
+    : 'tags debe ser una lista de hasta 20 textos de hasta 50 caracteres'
+};
+
+// Configuración persistente por sesión (número de la location)
+class SessionSettings {
+  constructor() {
+    this.store = new JsonStore('sessions.json', { sessions: {} });
+  }
+
+  // Obtener configuración de una sesión (objeto vacío si no tiene)
+  get(phoneNumber) {
+    const data = this.store.load();
+    return data.sessions[phoneNumber] || {};
+  }
+
+  // Idioma y zona horaria de la sesión (los valores del envío tienen prioridad)
+  getLocale(phoneNumber, overrides = {}) {
+    const settings = this.get(phoneNumber);
+    return {
+      locale: overrides.locale || settings.locale || DEFAULT_LOCALE,
+      timeZone: overrides.timeZone || settings.timeZone || DEFAULT_TIMEZONE
+    };
+  }
+
+  // Actualizar parcialmente la configuración de una sesión
+  update(phoneNumber, changes) {
+    const data = this.store.load();
+    const current = data.sessions[phoneNumber] || {};
+    const updated = { ...current, ...changes, updatedAt: new Date().toISOString() };
+
+    // Permitir eliminar claves enviando null
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete updated[key];
+      }
+    }
+
+    data.sessions[phoneNumber] = updated;
+    this.store.saveNow();
+    return updated;
+  }
+
+  // Actualizar configuraciones editables validando cada valor (null restablece el valor por defecto)
+  updateEditable(phoneNumber, changes) {
+    const errors = [];
+
+    for (const [key, value] of Object.entries(changes || {})) {
+      const validator = EDITABLE_SETTINGS[key];
+      if (!validator) {
+        errors.push(`Configuración desconocida: ${key} (permitidas: ${Object.keys(EDITABLE_SETTINGS).join(', ')})`);
+      } else if (value !== null) {
+        const error = validator(value);
+        if (error) {
+          errors.push(error);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors.join('; '), errors);
+    }
+
+    return this.update(phoneNumber, changes);
+  }
+
+  // Configuración editable actual con los valores por defecto aplicados
+  getEditable(phoneNumber) {
+    const settings = this.get(phoneNumber);
+    return {
+      ...this.getLocale(phoneNumber),
+      ...Object.fromEntries(Object.keys(EDITABLE_SETTINGS)
+        .filter(key => settings[key] !== undefined)
+        .map(key => [key, settings[key]]))
+    };
+  }
+
+  // Metadatos de la sesión: nombre de la clínica, id de location y etiquetas
+  getMetadata(phoneNumber) {
+    return this.get(phoneNumber).metadata || {};
+  }
+
+  // Actualizar metadatos parcialmente (null elimina el campo)
+  updateMetadata(phoneNumber, changes) {
+    const errors = [];
+
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+      throw new ValidationError('Se esperan los metadatos como objeto { name, locationId, tags }');
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+      const validator = METADATA_FIELDS[key];
+      if (!validator) {
+        errors.push(`Metadato desconocido: ${key} (permitidos: ${Object.keys(METADATA_FIELDS).join(', ')})`);
+      } else if (value !== null) {
+        const error = validator(value);
+        if (error) {
+          errors.push(error);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors.join('; '), errors);
+    }
+
+    const metadata = { ...this.getMetadata(phoneNumber) };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete metadata[key];
+      } else {
+        metadata[key] = key === 'tags' ? [...new Set(value.map(tag => tag.trim()))] : value;
+      }
+    }
+
+    this.update(phoneNumber, { metadata });
+    return metadata;
+  }
+
+  // Eliminar toda la configuración de una sesión
+  remove(phoneNumber) {
+    const data = this.store.load();
+    delete data.sessions[phoneNumber];
+    this.store.saveNow();
+  }
+
+  // Listar todas las sesiones con configuración guardada
+  getAll() {
+    return this.store.load().sessions;
+  }
+}
+
+export default SessionSettings;
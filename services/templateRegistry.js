@@ -0,0 +1,423 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import JsonStore from '../utils/jsonStore.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { render, validateVariables, validateSchema } from '../utils/templateEngine.js';
+import { getLanguage, isValidLocale, isValidTimeZone } from '../utils/dateFormatter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Templates incluidos con el servicio (se pueden reemplazar con TEMPLATES_DIR)
+const BUILTIN_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+
+const TEMPLATE_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+// Nombres que pisarían propiedades de los objetos del store en lugar de agregar un template
+const RESERVED_NAMES = ['__proto__', 'constructor', 'prototype'];
+const BUTTON_TYPES = ['url'];
+const OPTION_ID = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Formatos para las opciones de respuesta y cuántas admite cada uno
+export const OPTIONS_FORMATS = { buttons: 3, list: 10, poll: 12, text: 10 };
+
+// Textos por defecto de las opciones según el idioma (se pueden cambiar en el template)
+const DEFAULT_OPTIONS_TEXTS = {
+  es: { optionsTitle: 'Seleccione una opción', optionsHeader: 'Responda con el número de la opción:', listButtonText: 'Ver opciones' },
+  pt: { optionsTitle: 'Selecione uma opção', optionsHeader: 'Responda com o número da opção:', listButtonText: 'Ver opções' },
+  en: { optionsTitle: 'Select an option', optionsHeader: 'Reply with the option number:', listButtonText: 'See options' }
+};
+
+// Variables disponibles para un template a partir de los datos del envío
+export function buildTemplateVariables(templateData, extra = {}) {
+  const { appointmentId, appointmentData, confirmUrl, cancelUrl } = templateData;
+  return {
+    ...appointmentData,
+    appointmentId,
+    confirmUrl,
+    cancelUrl,
+    ...extra
+  };
+}
+
+// Registro de templates: incluidos en disco, globales personalizados y por sesión (clínica).
+// Al resolver un nombre se usa primero el de la sesión, luego el global y por último el incluido.
+class TemplateRegistry {
+  constructor() {
+    this.builtins = new Map();
+    this.store = new JsonStore('templates.json', { global: {}, sessions: {} });
+    this.loadBuiltins();
+  }
+
+  // Cargar templates incluidos desde el directorio de templates
+  loadBuiltins() {
+    if (!fs.existsSync(BUILTIN_DIR)) {
+      logger.warn(`⚠️ Directorio de templates no encontrado: ${BUILTIN_DIR}`);
+      return;
+    }
+
+    for (const file of fs.readdirSync(BUILTIN_DIR).filter(name => name.endsWith('.json'))) {
+      try {
+        const definition = JSON.parse(fs.readFileSync(path.join(BUILTIN_DIR, file), 'utf8'));
+        const name = definition.name || path.basename(file, '.json');
+        const errors = this.validateDefinition(definition);
+
+        if (errors.length > 0) {
+          logger.error(`❌ Template ${file} inválido: ${errors.join('; ')}`);
+          continue;
+        }
+
+        this.builtins.set(name, { ...definition, name });
+      } catch (error) {
+        logger.error(`❌ Error cargando template ${file}:`, error);
+      }
+    }
+
+    logger.info(`📝 ${this.builtins.size} templates cargados desde ${BUILTIN_DIR}`);
+  }
+
+  // Validar la estructura de un template
+  validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['El template debe ser un objeto'];
+    }
+
+    if (typeof definition.text !== 'string' || definition.text.trim() === '') {
+      errors.push('text es requerido');
+    }
+
+    if (definition.variables !== undefined) {
+      errors.push(...validateSchema(definition.variables));
+    }
+
+    errors.push(...this.validateButtons(definition.buttons, 'buttons'));
+    errors.push(...this.validateOptions(definition.options, 'options', definition.optionsFormat));
+
+    if (definition.optionsFormat !== undefined && !OPTIONS_FORMATS[definition.optionsFormat]) {
+      errors.push(`optionsFormat debe ser uno de: ${Object.keys(OPTIONS_FORMATS).join(', ')}`);
+    }
+
+    if (definition.translations !== undefined) {
+      if (typeof definition.translations !== 'object' || Array.isArray(definition.translations)) {
+        errors.push('translations debe ser un objeto { "pt": { text, buttons, fallbackHeader } }');
+      } else {
+        for (const [locale, translation] of Object.entries(definition.translations)) {
+          if (typeof translation?.text !== 'string' || translation.text.trim() === '') {
+            errors.push(`translations.${locale}.text es requerido`);
+          }
+          errors.push(...this.validateButtons(translation?.buttons, `translations.${locale}.buttons`));
+          errors.push(...this.validateOptions(translation?.options, `translations.${locale}.options`, definition.optionsFormat));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  validateButtons(buttons, field) {
+    const errors = [];
+
+    if (buttons === undefined) {
+      return errors;
+    }
+
+    if (!Array.isArray(buttons)) {
+      return [`${field} debe ser una lista`];
+    }
+
+    buttons.forEach((button, index) => {
+      if (typeof button !== 'object' || button === null || Array.isArray(button)) {
+        errors.push(`${field}[${index}] debe ser un objeto { type, text }`);
+        return;
+      }
+      if (!BUTTON_TYPES.includes(button.type)) {
+        errors.push(`${field}[${index}].type debe ser uno de: ${BUTTON_TYPES.join(', ')}`);
+      }
+      if (!button.text) {
+        errors.push(`${field}[${index}].text es requerido`);
+      }
+      if (button.type === 'url' && !button.url) {
+        errors.push(`${field}[${index}].url es requerido`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Opciones de respuesta: [{ id, text, description }] con ids únicos ("confirm", "cancel", "reschedule", ...)
+  validateOptions(options, field, format = 'buttons') {
+    const errors = [];
+
+    if (options === undefined) {
+      return errors;
+    }
+
+    if (!Array.isArray(options) || options.length === 0) {
+      return [`${field} debe ser una lista con al menos una opción`];
+    }
+
+    const max = OPTIONS_FORMATS[format] || OPTIONS_FORMATS.buttons;
+    if (options.length > max) {
+      errors.push(`${field}: ${format} admite hasta ${max} opciones`);
+    }
+
+    const ids = new Set();
+    const texts = new Set();
+    options.forEach((option, index) => {
+      if (!OPTION_ID.test(option?.id || '')) {
+        errors.push(`${field}[${index}].id es requerido (letras, números, _ o -)`);
+      } else if (ids.has(option.id)) {
+        errors.push(`${field}[${index}].id repetido: ${option.id}`);
+      }
+      if (typeof option?.text !== 'string' || option.text.trim() === '') {
+        errors.push(`${field}[${index}].text es requerido`);
+      } else if (texts.has(option.text)) {
+        errors.push(`${field}[${index}].text repetido: las opciones deben tener textos distintos`);
+      }
+      ids.add(option?.id);
+      texts.add(option?.text);
+    });
+
+    return errors;
+  }
+
+  // Obtener un template resuelto para una sesión
+  get(name, sessionPhone = null) {
+    const data = this.store.load();
+    const sessionTemplates = sessionPhone && Object.hasOwn(data.sessions, sessionPhone) ? data.sessions[sessionPhone] : {};
+
+    return (Object.hasOwn(sessionTemplates, name) && sessionTemplates[name]) ||
+      (Object.hasOwn(data.global, name) && data.global[name]) ||
+      this.builtins.get(name) || null;
+  }
+
+  // Listar templates visibles (con su origen)
+  list(sessionPhone = null) {
+    const data = this.store.load();
+    const result = new Map();
+
+    for (const [name, template] of this.builtins) {
+      result.set(name, { ...template, source: 'builtin' });
+    }
+    for (const [name, template] of Object.entries(data.global)) {
+      result.set(name, { ...template, source: 'custom' });
+    }
+    if (sessionPhone) {
+      for (const [name, template] of Object.entries(data.sessions[sessionPhone] || {})) {
+        result.set(name, { ...template, source: 'session' });
+      }
+    }
+
+    return Array.from(result.values());
+  }
+
+  getNames(sessionPhone = null) {
+    return this.list(sessionPhone).map(template => template.name);
+  }
+
+  // Crear o reemplazar un template (global o de una sesión)
+  save(name, definition, sessionPhone = null) {
+    if (!TEMPLATE_NAME.test(name) || RESERVED_NAMES.includes(name)) {
+      throw new ValidationError('Nombre de template inválido (usar letras, números, _ o -)');
+    }
+
+    const errors = this.validateDefinition(definition);
+    if (errors.length > 0) {
+      throw new ValidationError(`Template inválido: ${errors.join('; ')}`, errors);
+    }
+
+    const template = {
+      name,
+      description: definition.description || '',
+      variables: definition.variables || {},
+      text: definition.text,
+      buttons: definition.buttons || [],
+      fallbackHeader: definition.fallbackHeader || '',
+      ...(definition.options && {
+        options: definition.options,
+        optionsFormat: definition.optionsFormat || 'buttons',
+        optionsTitle: definition.optionsTitle || '',
+        optionsHeader: definition.optionsHeader || '',
+        listButtonText: definition.listButtonText || ''
+      }),
+      translations: definition.translations || {},
+      updatedAt: new Date().toISOString()
+    };
+
+    const data = this.store.load();
+    if (sessionPhone) {
+      data.sessions[sessionPhone] = { ...data.sessions[sessionPhone], [name]: template };
+    } else {
+      data.global[name] = template;
+    }
+    this.store.saveNow();
+
+    logger.info(`📝 Template ${name} guardado${sessionPhone ? ` para ${sessionPhone}` : ''}`);
+    return template;
+  }
+
+  // Eliminar un template personalizado (los incluidos no se pueden eliminar)
+  remove(name, sessionPhone = null) {
+    const data = this.store.load();
+    const scope = sessionPhone ? data.sessions[sessionPhone] : data.global;
+
+    if (!scope || !Object.hasOwn(scope, name)) {
+      return false;
+    }
+
+    delete scope[name];
+    this.store.saveNow();
+
+    logger.info(`🗑️ Template ${name} eliminado${sessionPhone ? ` para ${sessionPhone}` : ''}`);
+    return true;
+  }
+
+  // Armar los datos de un envío de template (send-template, broadcast) validando template, idioma y variables
+  buildTemplateData(sessionPhone, { appointmentId, phone, messageType, appointmentData, confirmUrl, cancelUrl, locale, timeZone }) {
+    // Validar datos requeridos (confirmUrl y cancelUrl son opcionales)
+    if (!appointmentId || !phone || !messageType || !appointmentData) {
+      throw new ValidationError('Faltan parámetros requeridos: appointmentId, phone, messageType, appointmentData');
+    }
+
+    // messageType es el nombre de un template registrado (global o de la sesión)
+    const template = this.get(messageType, sessionPhone);
+    if (!template) {
+      throw new ValidationError(`messageType debe ser uno de: ${this.getNames(sessionPhone).join(', ')}`);
+    }
+
+    const templateData = {
+      appointmentId,
+      messageType,
+      appointmentData
+    };
+
+    // Agregar URLs solo si están presentes
+    if (confirmUrl) {
+      templateData.confirmUrl = confirmUrl;
+    }
+    if (cancelUrl) {
+      templateData.cancelUrl = cancelUrl;
+    }
+
+    // Idioma y zona horaria del envío (si no se indican, se usan los de la sesión)
+    if (locale) {
+      if (!isValidLocale(locale)) {
+        throw new ValidationError(`locale inválido: ${locale}`);
+      }
+      templateData.locale = locale;
+    }
+    if (timeZone) {
+      if (!isValidTimeZone(timeZone)) {
+        throw new ValidationError(`timeZone inválido: ${timeZone}`);
+      }
+      templateData.timeZone = timeZone;
+    }
+
+    // Validar appointmentData contra las variables declaradas por el template
+    const variableErrors = this.validate(template, buildTemplateVariables(templateData));
+    if (variableErrors.length > 0) {
+      throw new ValidationError(`Datos inválidos para el template ${messageType}: ${variableErrors.join('; ')}`, variableErrors);
+    }
+
+    return templateData;
+  }
+
+  // Validar las variables de un envío contra el esquema del template
+  validate(template, vars) {
+    return validateVariables(template.variables, vars);
+  }
+
+  // Versión del template en el idioma pedido ("pt-BR", luego "pt"); si no hay, la original
+  localize(template, locale) {
+    const translations = template.translations || {};
+    const translation = translations[locale] || translations[getLanguage(locale)];
+
+    if (!translation) {
+      return template;
+    }
+
+    return {
+      ...template,
+      text: translation.text,
+      buttons: translation.buttons || template.buttons,
+      fallbackHeader: translation.fallbackHeader !== undefined ? translation.fallbackHeader : template.fallbackHeader,
+      options: translation.options || template.options,
+      optionsTitle: translation.optionsTitle || template.optionsTitle,
+      optionsHeader: translation.optionsHeader || template.optionsHeader,
+      listButtonText: translation.listButtonText || template.listButtonText
+    };
+  }
+
+  // Opciones de respuesta renderizadas (null si el template no tiene).
+  // Los textos no definidos en el template se toman del idioma del envío.
+  renderOptions(template, vars, { locale = null } = {}) {
+    const localized = locale ? this.localize(template, locale) : template;
+    const options = (localized.options || []).filter(option => !option.if || vars[option.if]);
+
+    if (options.length === 0) {
+      return null;
+    }
+
+    const defaults = DEFAULT_OPTIONS_TEXTS[getLanguage(locale)] || DEFAULT_OPTIONS_TEXTS.es;
+    return {
+      format: template.optionsFormat || 'buttons',
+      options: options.map(({ id, text, description }) => ({
+        id,
+        text: render(text, vars),
+        description: description ? render(description, vars) : null
+      })),
+      optionsTitle: render(localized.optionsTitle || defaults.optionsTitle, vars),
+      optionsHeader: render(localized.optionsHeader || defaults.optionsHeader, vars),
+      listButtonText: render(localized.listButtonText || defaults.listButtonText, vars)
+    };
+  }
+
+  // Renderizar un template. Con interactive=true devuelve botones; si no, las opciones van como texto.
+  render(template, vars, { interactive = false, locale = null } = {}) {
+    const localized = locale ? this.localize(template, locale) : template;
+    const text = render(localized.text, vars);
+    const buttons = (localized.buttons || [])
+      .filter(button => !button.if || vars[button.if])
+      .map(button => ({
+        ...button,
+        text: render(button.text, vars),
+        url: button.url ? render(button.url, vars) : undefined
+      }));
+
+    if (buttons.length === 0) {
+      return text;
+    }
+
+    if (interactive) {
+      return {
+        text,
+        templateButtons: buttons.map((button, index) => ({
+          index: index + 1,
+          urlButton: {
+            displayText: button.text,
+            url: button.url
+          }
+        }))
+      };
+    }
+
+    // Sin botones: agregar las opciones como texto
+    let textMessage = text;
+    if (localized.fallbackHeader) {
+      textMessage += `\n\n${render(localized.fallbackHeader, vars)}`;
+    } else {
+      textMessage += '\n';
+    }
+    for (const button of buttons) {
+      textMessage += `\n${button.text}: ${button.url}`;
+    }
+
+    return textMessage;
+  }
+}
+
+export default TemplateRegistry;
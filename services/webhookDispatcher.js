@@ -0,0 +1,448 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import JsonStore, { appendJsonLine } from '../utils/jsonStore.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+
+const DEAD_LETTER_FILE = 'webhooks-dead-letter.jsonl';
+const SECRET_PREFIX = 'whsec_';
+
+// Eventos a los que se puede suscribir un endpoint ("*" para todos)
+export const WEBHOOK_EVENTS = {
+  'session.state': 'Cambios de estado de la conexión (connected, qr_ready, logged_out, failed, ...)',
+  'session.qr': 'QR o código de vinculación nuevo',
+  'message.received': 'Mensajes entrantes',
+  'message.status': 'Recibos de entrega y lectura de mensajes enviados',
+  'appointment.reply': 'Respuestas de pacientes a templates de turnos',
+  'outbox.sent': 'Mensajes en cola (o programados) enviados',
+  'outbox.failed': 'Mensajes en cola (o programados) que no se pudieron enviar',
+  'broadcast.completed': 'Envíos masivos terminados',
+  'error': 'Errores de envío de mensajes y templates'
+};
+
+// Eventos con datos para vincular la sesión (QR y código): solo con permiso "qr" y nunca guardados en el registro
+const QR_EVENT = 'session.qr';
+
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// Envío de eventos firmados con HMAC-SHA256 a la URL configurada por sesión (o por entorno)
+// y a los endpoints suscritos por sesión o globalmente. Cada entrega queda registrada con sus intentos.
+class WebhookDispatcher {
+  constructor(settings) {
+    this.settings = settings;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.logSize = parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE || '1000', 10);
+    this.subscriptions = new JsonStore('webhook-subscriptions.json', { subscriptions: {} });
+    this.deliveries = new JsonStore('webhook-deliveries.json', { deliveries: [] });
+    this.inFlight = new Set(); // ids de entregas en curso (con reintentos pendientes)
+  }
+
+  // Webhook de la sesión (PUT .../webhook) o, en su defecto, el de las variables de entorno: recibe todos los eventos.
+  // El de la sesión recibe session.qr solo si lo configuró alguien con permiso "qr" (includeQR).
+  getTarget(phoneNumber, event) {
+    const { webhook } = this.settings.get(phoneNumber);
+    const url = webhook?.url || process.env.WEBHOOK_URL;
+
+    if (!url || (webhook?.url && event === QR_EVENT && webhook.includeQR !== true)) {
+      return null;
+    }
+
+    return {
+      url,
+      secret: webhook?.secret || process.env.WEBHOOK_SECRET || null,
+      subscriptionId: null,
+      scope: webhook?.url ? phoneNumber : null
+    };
+  }
+
+  // Destinos de un evento: el webhook de la sesión y las suscripciones activas que lo incluyen
+  getTargets(phoneNumber, event) {
+    const targets = [];
+    const sessionTarget = this.getTarget(phoneNumber, event);
+
+    if (sessionTarget) {
+      targets.push(sessionTarget);
+    }
+
+    for (const subscription of Object.values(this.subscriptions.load().subscriptions)) {
+      const inScope = subscription.sessionPhone === null || subscription.sessionPhone === phoneNumber;
+      const wantsEvent = subscription.events.includes('*') || subscription.events.includes(event);
+
+      if (subscription.active && inScope && wantsEvent) {
+        targets.push({
+          url: subscription.url,
+          secret: subscription.secret,
+          subscriptionId: subscription.id,
+          scope: subscription.sessionPhone
+        });
+      }
+    }
+
+    return targets;
+  }
+
+  // Firma: HMAC-SHA256 de "<timestamp>.<body>" en hexadecimal
+  sign(body, timestamp, secret) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Encolar el envío de un evento a todos sus destinos sin bloquear al llamador
+  dispatch(phoneNumber, event, data) {
+    const targets = this.getTargets(phoneNumber, event);
+
+    if (targets.length === 0) {
+      logger.debug(`Webhook no configurado para ${phoneNumber} - evento ${event} descartado`);
+      return null;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      sessionPhone: phoneNumber,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    for (const target of targets) {
+      this.send(target, payload);
+    }
+
+    return payload.id;
+  }
+
+  send(target, payload, replayOf = null) {
+    const delivery = this.createDelivery(target, payload, replayOf);
+    this.inFlight.add(delivery.id);
+
+    this.deliver(target, payload, delivery)
+      .catch(error => {
+        logger.error(`❌ Error inesperado enviando webhook ${payload.event} para ${payload.sessionPhone}:`, error);
+      })
+      .finally(() => this.inFlight.delete(delivery.id));
+
+    return delivery;
+  }
+
+  // Registrar una entrega nueva (se conservan las últimas WEBHOOK_DELIVERY_LOG_SIZE)
+  createDelivery(target, payload, replayOf) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      eventId: payload.id,
+      event: payload.event,
+      sessionPhone: payload.sessionPhone,
+      subscriptionId: target.subscriptionId,
+      scope: target.scope,
+      url: target.url,
+      status: 'pending',
+      attempts: [],
+      replayOf,
+      payload: this.redact(payload),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const data = this.deliveries.load();
+    data.deliveries.push(delivery);
+    if (data.deliveries.length > this.logSize) {
+      data.deliveries.splice(0, data.deliveries.length - this.logSize);
+    }
+    this.deliveries.save();
+
+    return delivery;
+  }
+
+  // Entregar con reintentos y backoff exponencial; si todo falla, guardar en dead-letter
+  async deliver(target, payload, delivery) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WhatsApp-Service/1.0',
+        'X-Webhook-Id': payload.id,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Delivery': delivery.id
+      };
+
+      if (target.secret) {
+        headers['X-Webhook-Signature'] = `sha256=${this.sign(body, timestamp, target.secret)}`;
+      }
+      if (target.subscriptionId) {
+        headers['X-Webhook-Subscription'] = target.subscriptionId;
+      }
+
+      const startedAt = Date.now();
+      const record = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+      delivery.attempts.push(record);
+
+      try {
+        const response = await fetch(target.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        record.statusCode = response.status;
+        record.durationMs = Date.now() - startedAt;
+
+        if (response.ok) {
+          this.finishDelivery(delivery, 'delivered');
+          logger.info(`📨 Webhook ${payload.event} entregado para ${payload.sessionPhone} (intento ${attempt})`);
+          return true;
+        }
+
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      } catch (error) {
+        lastError = error;
+        record.error = error.message;
+        record.durationMs = Date.now() - startedAt;
+        this.deliveries.save();
+        logger.warn(`⚠️ Error entregando webhook ${payload.event} (intento ${attempt}/${this.maxAttempts}):`, error.message);
+
+        if (attempt < this.maxAttempts) {
+          const delay = Math.min(Math.pow(2, attempt) * 1000, 60000);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    this.finishDelivery(delivery, 'failed');
+    logger.error(`❌ Webhook ${payload.event} para ${payload.sessionPhone} descartado después de ${this.maxAttempts} intentos`);
+    appendJsonLine(DEAD_LETTER_FILE, {
+      failedAt: new Date().toISOString(),
+      url: target.url,
+      subscriptionId: target.subscriptionId,
+      deliveryId: delivery.id,
+      attempts: this.maxAttempts,
+      error: lastError?.message || null,
+      payload: this.redact(payload)
+    });
+
+    return false;
+  }
+
+  // Payload para guardar: sin el QR ni el código de vinculación (solo cuándo se generó y cuándo vence)
+  redact(payload) {
+    if (payload.event !== QR_EVENT) {
+      return payload;
+    }
+
+    const { type, at, expiresAt } = payload.data || {};
+    return { ...payload, data: { type, at, expiresAt, redacted: true } };
+  }
+
+  // Recibir session.qr (o "*") requiere el permiso "qr" sobre la sesión
+  assertQRAllowed(events, canReceiveQR) {
+    if (!canReceiveQR && Array.isArray(events) && (events.includes('*') || events.includes(QR_EVENT))) {
+      throw new AppError(`Se requiere el permiso "qr" para suscribirse a ${QR_EVENT} (o a "*")`, 403);
+    }
+  }
+
+  finishDelivery(delivery, status) {
+    delivery.status = status;
+    delivery.updatedAt = new Date().toISOString();
+    this.deliveries.save();
+  }
+
+  // Datos públicos de una suscripción: el secreto solo se muestra al crearla o rotarlo
+  toPublic(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secretPrefix: secret.slice(0, SECRET_PREFIX.length + 4) };
+  }
+
+  validateSubscription({ url, events, description, active }) {
+    const errors = [];
+
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      errors.push('url inválida: debe ser una URL http(s)');
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push(`events debe ser una lista con: ${Object.keys(WEBHOOK_EVENTS).join(', ')} (o ["*"] para todos)`);
+    } else {
+      const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS[event]);
+      if (unknown.length > 0) {
+        errors.push(`Eventos desconocidos: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+      errors.push('description debe ser un texto de hasta 200 caracteres');
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('active debe ser true o false');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors.join('; '), errors);
+    }
+
+    return parsedUrl.toString();
+  }
+
+  // Suscripción visible desde un alcance: la sesión solo ve las suyas; el alcance global (undefined) ve todas
+  findSubscription(id, sessionPhone) {
+    const subscription = this.subscriptions.load().subscriptions[id];
+
+    if (!subscription || (sessionPhone !== undefined && subscription.sessionPhone !== sessionPhone)) {
+      throw new AppError('Suscripción no encontrada', 404);
+    }
+
+    return subscription;
+  }
+
+  // Crear una suscripción de una sesión o global (sessionPhone null). Devuelve el secreto para firmar.
+  createSubscription(sessionPhone, { url, events, description, secret }, { canReceiveQR = false } = {}) {
+    const normalizedUrl = this.validateSubscription({ url, events, description });
+    this.assertQRAllowed(events, canReceiveQR);
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new ValidationError('secret debe tener al menos 16 caracteres (si no se indica, se genera uno)');
+    }
+
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      sessionPhone,
+      url: normalizedUrl,
+      events: [...new Set(events)],
+      description: description || '',
+      active: true,
+      secret: secret || generateSecret(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.subscriptions.load().subscriptions[subscription.id] = subscription;
+    this.subscriptions.saveNow();
+
+    logger.info(`🔗 Suscripción de webhook creada${sessionPhone ? ` para ${sessionPhone}` : ' (global)'}: ${new URL(normalizedUrl).origin} [${subscription.events.join(', ')}]`);
+    return { ...this.toPublic(subscription), secret: subscription.secret };
+  }
+
+  listSubscriptions(sessionPhone) {
+    return Object.values(this.subscriptions.load().subscriptions)
+      .filter(subscription => sessionPhone === undefined || subscription.sessionPhone === sessionPhone)
+      .map(subscription => this.toPublic(subscription));
+  }
+
+  getSubscription(id, sessionPhone) {
+    return this.toPublic(this.findSubscription(id, sessionPhone));
+  }
+
+  // Cambiar url, eventos, descripción o pausar/reanudar (active). Sin permiso "qr" tampoco se puede
+  // cambiar una suscripción que recibe session.qr (por ejemplo, su url).
+  updateSubscription(id, sessionPhone, changes, { canReceiveQR = false } = {}) {
+    const subscription = this.findSubscription(id, sessionPhone);
+    const updated = {
+      url: changes.url ?? subscription.url,
+      events: changes.events ?? subscription.events,
+      description: changes.description ?? subscription.description,
+      active: changes.active ?? subscription.active
+    };
+
+    updated.url = this.validateSubscription(updated);
+    this.assertQRAllowed(subscription.events, canReceiveQR);
+    this.assertQRAllowed(updated.events, canReceiveQR);
+    Object.assign(subscription, updated, { events: [...new Set(updated.events)], updatedAt: new Date().toISOString() });
+    this.subscriptions.saveNow();
+
+    return this.toPublic(subscription);
+  }
+
+  // Generar un secreto nuevo (el anterior deja de usarse en las próximas entregas)
+  rotateSecret(id, sessionPhone) {
+    const subscription = this.findSubscription(id, sessionPhone);
+    subscription.secret = generateSecret();
+    subscription.updatedAt = new Date().toISOString();
+    this.subscriptions.saveNow();
+
+    logger.info(`🔄 Secreto rotado para la suscripción de webhook ${id}`);
+    return { ...this.toPublic(subscription), secret: subscription.secret };
+  }
+
+  removeSubscription(id, sessionPhone) {
+    this.findSubscription(id, sessionPhone);
+    delete this.subscriptions.load().subscriptions[id];
+    this.subscriptions.saveNow();
+
+    logger.info(`🗑️ Suscripción de webhook ${id} eliminada`);
+  }
+
+  // Entregas recientes, de la más nueva a la más vieja (sin el payload).
+  // Desde una sesión se ven las de sus suscripciones y su webhook; desde el alcance global, todas.
+  listDeliveries(sessionPhone, { status, event, subscriptionId, limit } = {}) {
+    const max = limit === undefined ? 50 : parseInt(limit, 10);
+    if (!Number.isInteger(max) || max < 1 || max > 500) {
+      throw new ValidationError('limit debe ser un número entre 1 y 500');
+    }
+
+    return this.deliveries.load().deliveries
+      .filter(delivery => (sessionPhone === undefined || delivery.scope === sessionPhone) &&
+        (!status || delivery.status === status) &&
+        (!event || delivery.event === event) &&
+        (!subscriptionId || delivery.subscriptionId === subscriptionId))
+      .slice(-max)
+      .reverse()
+      .map(({ payload, ...delivery }) => delivery);
+  }
+
+  getDelivery(id, sessionPhone) {
+    const delivery = this.deliveries.load().deliveries.find(candidate => candidate.id === id);
+
+    if (!delivery || (sessionPhone !== undefined && delivery.scope !== sessionPhone)) {
+      throw new AppError('Entrega no encontrada', 404);
+    }
+
+    return delivery;
+  }
+
+  // Reenviar el mismo evento (mismo id) al destino actual de la entrega, con firma y timestamp nuevos
+  replay(id, sessionPhone) {
+    const delivery = this.getDelivery(id, sessionPhone);
+
+    // Las que quedaron "pending" por un reinicio sí se pueden reenviar
+    if (this.inFlight.has(delivery.id)) {
+      throw new AppError('La entrega todavía está en curso', 409);
+    }
+
+    // El QR no se guarda (y vence en segundos): pedir uno nuevo
+    if (delivery.event === QR_EVENT) {
+      throw new AppError(`Los eventos ${QR_EVENT} no se reenvían`, 409);
+    }
+
+    let target;
+    if (delivery.subscriptionId) {
+      const subscription = this.subscriptions.load().subscriptions[delivery.subscriptionId];
+      if (!subscription) {
+        throw new AppError('La suscripción de esta entrega fue eliminada', 409);
+      }
+      target = { url: subscription.url, secret: subscription.secret, subscriptionId: subscription.id, scope: subscription.sessionPhone };
+    } else {
+      target = this.getTarget(delivery.sessionPhone, delivery.event);
+      if (!target) {
+        throw new AppError('La sesión ya no tiene webhook configurado', 409);
+      }
+    }
+
+    logger.info(`🔁 Reenviando webhook ${delivery.event} (entrega ${delivery.id})`);
+    const { payload, ...replayed } = this.send(target, delivery.payload, delivery.id);
+    return replayed;
+  }
+}
+
+export default WebhookDispatcher;
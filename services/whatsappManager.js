@@ -1,36 +1,137 @@
+import { EventEmitter } from 'events';
 import WhatsAppService from './whatsappService.js';
+import SessionSettings from './sessionSettings.js';
+import WebhookDispatcher from './webhookDispatcher.js';
+import MessageTracker from './messageTracker.js';
+import Outbox from './outbox.js';
+import Scheduler from './scheduler.js';
+import TemplateRegistry from './templateRegistry.js';
+import Broadcasts from './broadcasts.js';
+import RateLimiter from './rateLimiter.js';
+import NumberLookup from './numberLookup.js';
+import MessageHistory from './messageHistory.js';
+import ReplyInterpreter from './replyInterpreter.js';
+import SessionCapabilities from './sessionCapabilities.js';
+import IdempotencyStore from './idempotencyStore.js';
+import ApiKeyStore from './apiKeyStore.js';
+import { createAuthStore } from './authStore.js';
+import SessionRestorer from './sessionRestorer.js';
 import logger from '../utils/logger.js';
-import path from 'path';
-import fs from 'fs';
+import { AppError } from '../utils/errors.js';
+import { normalizePhoneNumber, detectCountry } from '../utils/phoneNumber.js';
+import { DEFAULT_RECONNECT_POLICY } from '../utils/reconnectPolicy.js';
 
 class WhatsAppManager {
   constructor() {
     this.instances = new Map(); // phoneNumber -> WhatsAppService
     
-    // Usar variable de entorno para Railway o directorio local por defecto
-    this.authBaseDir = process.env.AUTH_DATA_DIR || './auth_info_baileys';
-    
-    // Crear directorio base si no existe
-    if (!fs.existsSync(this.authBaseDir)) {
-      fs.mkdirSync(this.authBaseDir, { recursive: true });
-      logger.info(`Created auth directory: ${this.authBaseDir}`);
+    // Credenciales de las sesiones: archivos en AUTH_DATA_DIR por defecto, o la base configurada en AUTH_STORE
+    this.authStore = createAuthStore();
+    logger.info(`Using auth store: ${this.authStore.describe()}`);
+
+    // Configuración por sesión y envío de webhooks compartidos entre instancias
+    this.settings = new SessionSettings();
+    this.webhooks = new WebhookDispatcher(this.settings);
+    this.messageTracker = new MessageTracker(this.webhooks);
+    this.history = new MessageHistory(this.messageTracker);
+    this.replies = new ReplyInterpreter(this.history, this.settings);
+    this.capabilities = new SessionCapabilities();
+    this.idempotency = new IdempotencyStore();
+    this.rateLimiter = new RateLimiter(this.settings);
+    this.numberLookup = new NumberLookup();
+    this.outbox = new Outbox(this);
+    this.scheduler = new Scheduler(this);
+    this.templates = new TemplateRegistry();
+    this.broadcasts = new Broadcasts(this);
+    this.restorer = new SessionRestorer(this);
+
+    // API keys por integración (acceso limitado por sesión y permiso)
+    this.apiKeys = new ApiKeyStore();
+
+    // Eventos de todas las sesiones, por número (sobreviven al recrear la instancia)
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.qrWatchers = new Map(); // phoneNumber -> clientes de eventos que esperan el QR
+  }
+
+  // Cliente de eventos con permiso "qr" conectado: mientras esté, se generan los QR nuevos de la sesión.
+  // Devuelve la función para dejar de esperar.
+  watchQR(phoneNumber) {
+    this.qrWatchers.set(phoneNumber, (this.qrWatchers.get(phoneNumber) || 0) + 1);
+
+    let active = true;
+    return () => {
+      if (!active) {
+        return;
+      }
+      active = false;
+
+      const count = this.qrWatchers.get(phoneNumber) - 1;
+      if (count > 0) {
+        this.qrWatchers.set(phoneNumber, count);
+      } else {
+        this.qrWatchers.delete(phoneNumber);
+      }
+    };
+  }
+
+  isWatchingQR(phoneNumber) {
+    return this.qrWatchers.has(phoneNumber);
+  }
+
+  // Reenviar los eventos de una instancia al bus del manager: events.on(phoneNumber, ({ type, data }) => ...)
+  // y a los webhooks suscritos a session.state / session.qr
+  forwardEvents(instance) {
+    for (const type of ['state', 'qr', 'pairing_code', 'message']) {
+      instance.on(type, data => this.events.emit(instance.phoneNumber, { type, data }));
     }
-    
-    logger.info(`Using auth directory: ${this.authBaseDir}`);
+
+    instance.on('state', data => this.webhooks.dispatch(instance.phoneNumber, 'session.state', data));
+    instance.on('qr', data => this.webhooks.dispatch(instance.phoneNumber, 'session.qr', { type: 'qr', ...data }));
+    instance.on('pairing_code', data => this.webhooks.dispatch(instance.phoneNumber, 'session.qr', { type: 'pairing_code', ...data }));
+  }
+
+  // Limpiar y normalizar número de sesión
+  cleanNumber(phoneNumber) {
+    return phoneNumber.replace(/[^0-9]/g, '');
+  }
+
+  // País para interpretar números locales: el configurado en la sesión, o el del propio número de la sesión
+  getDefaultCountry(sessionPhone) {
+    return this.settings.get(sessionPhone).defaultCountry || detectCountry(sessionPhone) || process.env.DEFAULT_COUNTRY || null;
+  }
+
+  // Política de reconexión de una sesión: la configurada en "reconnect" sobre los valores por defecto (env)
+  getReconnectPolicy(sessionPhone) {
+    return { ...DEFAULT_RECONNECT_POLICY, ...this.settings.get(sessionPhone).reconnect };
+  }
+
+  // Normalizar un destinatario al número que usa WhatsApp (los JID completos, ej. grupos, quedan igual).
+  // Lanza ValidationError con el motivo si el número no es válido.
+  normalizeRecipient(sessionPhone, number) {
+    if (String(number).includes('@')) {
+      return String(number);
+    }
+    return normalizePhoneNumber(number, { defaultCountry: this.getDefaultCountry(sessionPhone) }).whatsapp;
   }
 
   // Obtener o crear instancia para un número
   async getInstance(phoneNumber) {
     // Limpiar y normalizar número
-    const cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
+    const cleanNumber = this.cleanNumber(phoneNumber);
     
     if (this.instances.has(cleanNumber)) {
       return this.instances.get(cleanNumber);
     }
 
+    // Una sesión desactivada no se conecta hasta habilitarla
+    if (this.isSessionDisabled(cleanNumber)) {
+      throw new AppError(`La sesión ${cleanNumber} está desactivada - Habilitarla con POST /api/whatsapp/session/${cleanNumber}/enable`, 409, { disabled: true });
+    }
+
     // Crear nueva instancia
-    const authDir = path.join(this.authBaseDir, cleanNumber);
-    const instance = new WhatsAppService(cleanNumber, authDir, this);
+    const instance = new WhatsAppService(cleanNumber, this.authStore, this);
+    this.forwardEvents(instance);
     
     this.instances.set(cleanNumber, instance);
     
@@ -47,6 +148,23 @@ class WhatsAppManager {
     return instance;
   }
 
+  // Sesión marcada como desactivada: no se restaura automáticamente
+  isSessionDisabled(phoneNumber) {
+    return this.settings.get(this.cleanNumber(phoneNumber)).disabled === true;
+  }
+
+  // Verificar si un número tiene credenciales guardadas
+  async hasStoredSession(phoneNumber) {
+    return this.authStore.hasSession(this.cleanNumber(phoneNumber));
+  }
+
+  // Llamado por la instancia cuando la conexión queda abierta
+  onInstanceConnected(phoneNumber) {
+    this.outbox.drain(phoneNumber).catch(error => {
+      logger.error(`❌ Error enviando mensajes pendientes para ${phoneNumber}:`, error);
+    });
+  }
+
   // Obtener todas las instancias activas
   getAllInstances() {
     const instances = {};
@@ -58,7 +176,7 @@ class WhatsAppManager {
 
   // Cerrar instancia específica
   async closeInstance(phoneNumber) {
-    const cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
+    const cleanNumber = this.cleanNumber(phoneNumber);
     const instance = this.instances.get(cleanNumber);
     
     if (instance) {
@@ -68,29 +186,82 @@ class WhatsAppManager {
     }
   }
 
-  // Eliminar instancia completamente (incluyendo archivos de auth)
+  // Eliminar instancia completamente (incluyendo credenciales de auth). La configuración y los metadatos se conservan.
   async removeInstanceCompletely(phoneNumber) {
-    const cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
+    const cleanNumber = this.cleanNumber(phoneNumber);
     const instance = this.instances.get(cleanNumber);
     
     if (instance) {
       // Cerrar la instancia
       await instance.gracefulShutdown();
       this.instances.delete(cleanNumber);
-      
-      // Eliminar archivos de autenticación
-      const authDir = path.join(this.authBaseDir, cleanNumber);
-      if (fs.existsSync(authDir)) {
-        try {
-          fs.rmSync(authDir, { recursive: true, force: true });
-          logger.info(`🗑️ Archivos de autenticación eliminados para ${cleanNumber}`);
-        } catch (error) {
-          logger.error(`❌ Error eliminando archivos de auth para ${cleanNumber}:`, error);
-        }
-      }
-      
-      logger.info(`🔄 Instancia eliminada completamente para ${cleanNumber}`);
     }
+    
+    // Eliminar credenciales de autenticación (también si la instancia no estaba cargada)
+    try {
+      await this.authStore.removeSession(cleanNumber);
+      logger.info(`🗑️ Credenciales de autenticación eliminadas para ${cleanNumber}`);
+    } catch (error) {
+      logger.error(`❌ Error eliminando credenciales de auth para ${cleanNumber}:`, error);
+      throw error;
+    }
+    
+    // Lo aprendido sobre formatos interactivos corresponde a la cuenta vinculada
+    this.capabilities.reset(cleanNumber);
+    
+    logger.info(`🔄 Instancia eliminada completamente para ${cleanNumber}`);
+  }
+
+  // Cerrar sesión en WhatsApp (desvincula el dispositivo) y borrar las credenciales
+  async logoutInstance(phoneNumber) {
+    const cleanNumber = this.cleanNumber(phoneNumber);
+    const instance = this.instances.get(cleanNumber);
+    
+    if (!instance || !instance.isConnected) {
+      throw new AppError('La sesión no está conectada: no se puede desvincular en WhatsApp. Usar wipe para borrar las credenciales', 409);
+    }
+    
+    await instance.logout();
+    await this.removeInstanceCompletely(cleanNumber);
+  }
+
+  // Desactivar: se cierra la conexión y no se vuelve a levantar (restauración, outbox, endpoints) hasta habilitarla
+  async disableInstance(phoneNumber) {
+    const cleanNumber = this.cleanNumber(phoneNumber);
+    this.settings.update(cleanNumber, { disabled: true, disabledAt: new Date().toISOString() });
+    await this.closeInstance(cleanNumber);
+    logger.info(`⏸️ Sesión desactivada: ${cleanNumber}`);
+  }
+
+  // Habilitar una sesión desactivada (connect=true la conecta si tiene credenciales guardadas)
+  async enableInstance(phoneNumber, { connect = false } = {}) {
+    const cleanNumber = this.cleanNumber(phoneNumber);
+    this.settings.update(cleanNumber, { disabled: null, disabledAt: null });
+    logger.info(`▶️ Sesión habilitada: ${cleanNumber}`);
+    
+    if (connect && await this.hasStoredSession(cleanNumber)) {
+      return this.getInstance(cleanNumber);
+    }
+    
+    return null;
+  }
+
+  // Resumen de una sesión para los listados: estado si está cargada, credenciales, desactivación y metadatos
+  async describeSession(phoneNumber) {
+    const cleanNumber = this.cleanNumber(phoneNumber);
+    const instance = this.instances.get(cleanNumber);
+    const settings = this.settings.get(cleanNumber);
+    
+    return {
+      phoneNumber: cleanNumber,
+      loaded: !!instance,
+      state: instance ? instance.connectionState : (settings.disabled ? 'disabled' : 'not_loaded'),
+      isConnected: instance ? instance.isConnected : false,
+      hasCredentials: await this.hasStoredSession(cleanNumber),
+      disabled: settings.disabled === true,
+      disabledAt: settings.disabledAt || null,
+      metadata: settings.metadata || {}
+    };
   }
 
   // Cerrar todas las instancias
@@ -102,35 +273,23 @@ class WhatsAppManager {
     
     await Promise.all(promises);
     this.instances.clear();
+    this.scheduler.stop();
+    this.outbox.stop();
+    this.messageTracker.flush();
+    this.broadcasts.store.saveNow();
+    this.rateLimiter.flush();
+    this.numberLookup.store.saveNow();
+    this.capabilities.store.saveNow();
+    this.webhooks.deliveries.saveNow();
+    this.idempotency.store.saveNow();
+    this.apiKeys.store.saveNow();
+    await this.authStore.close();
     logger.info('🔄 Todas las instancias cerradas');
   }
 
-  // Cargar instancias existentes al iniciar
+  // Cargar instancias existentes al iniciar (de a pocas, ver SessionRestorer)
   async loadExistingInstances() {
-    try {
-      if (!fs.existsSync(this.authBaseDir)) {
-        return;
-      }
-
-      const authDirs = fs.readdirSync(this.authBaseDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
-
-      for (const phoneNumber of authDirs) {
-        // Solo cargar si tiene credenciales válidas
-        const credsPath = path.join(this.authBaseDir, phoneNumber, 'creds.json');
-        if (fs.existsSync(credsPath)) {
-          try {
-            await this.getInstance(phoneNumber);
-            logger.info(`🔄 Instancia restaurada para ${phoneNumber}`);
-          } catch (error) {
-            logger.warn(`⚠️ No se pudo restaurar instancia para ${phoneNumber}:`, error.message);
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Error cargando instancias existentes:', error);
-    }
+    return this.restorer.start();
   }
 }
 
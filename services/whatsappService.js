@@ -1,6 +1,17 @@
-import { makeWASocket, useMultiFileAuthState, fetchLatestBaileysVersion, DisconnectReason } from '@whiskeysockets/baileys';
+import { EventEmitter } from 'events';
+import { makeWASocket, fetchLatestBaileysVersion, DisconnectReason, getAggregateVotesInPollMessage, jidNormalizedUser } from '@whiskeysockets/baileys';
 import QRCode from 'qrcode';
 import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
+import { parseIncomingMessage } from '../utils/messageContent.js';
+import MessageTracker from './messageTracker.js';
+import { buildTemplateVariables } from './templateRegistry.js';
+import { formatAppointmentDate, formatAppointmentTime } from '../utils/dateFormatter.js';
+import { AppError } from '../utils/errors.js';
+import { buildMessageContent, getMessageType } from '../utils/mediaMessage.js';
+import { normalizePhoneNumber } from '../utils/phoneNumber.js';
+import { useStoredAuthState } from './authState.js';
+import { DEFAULT_RECONNECT_POLICY, computeReconnectDelay } from '../utils/reconnectPolicy.js';
 
 function createBaileysLogger() {
   // Logger completamente silencioso
@@ -65,41 +76,52 @@ function suppressLibsignalLogs() {
   };
 }
 
-class WhatsAppService {
-  constructor(phoneNumber, authDir, manager = null) {
+// Eventos emitidos: 'state' (cambio de estado), 'qr' (QR nuevo), 'pairing_code' (código de vinculación),
+// 'message' (mensaje entrante)
+class WhatsAppService extends EventEmitter {
+  constructor(phoneNumber, authStore, manager = null) {
+    super();
+    // Logger con el número de la sesión en cada línea (campo sessionPhone en modo JSON)
+    this.logger = logger.child({ sessionPhone: phoneNumber });
     this.client = null;
     this.isConnected = false;
     this.connectionState = 'disconnected';
     this.qrCode = null;
     this.phoneNumber = phoneNumber;
-    this.authDir = authDir;
+    this.authStore = authStore;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 2;
     this.manager = manager;
     this.isBusinessAccount = false;
     // Nuevas propiedades para reconexión automática
     this.reconnectTimeout = null;
     this.isReconnecting = false;
     this.lastReconnectTime = 0;
-    this.minReconnectDelay = 2000;
-    this.maxReconnectDelay = 10000;
+    this.nextReconnectAt = null;
+    // Corte de reconexión: hasta cuándo queda en "failed" antes de volver a intentar
+    this.circuitOpenUntil = null;
     
     // Propiedades para controlar generación de QR
     this.shouldGenerateQR = false;
     this.latestQR = null;
     
+    // Código de vinculación por número (alternativa al QR)
+    this.pairingCode = null;
+    this.pairingCodeTTL = parseInt(process.env.PAIRING_CODE_TTL_MS || '180000', 10);
+    
     // Silenciar logs de libsignal
     this.restoreConsole = suppressLibsignalLogs();
+    
+    metrics.recordState(this.phoneNumber, this.connectionState);
   }
 
   async initialize() {
     try {
-      logger.info(`🚀 Inicializando WhatsApp Service para ${this.phoneNumber}...`);
+      this.logger.info(`🚀 Inicializando WhatsApp Service para ${this.phoneNumber}...`);
       
-      const { state, saveCreds } = await useMultiFileAuthState(this.authDir);
+      const { state, saveCreds } = await useStoredAuthState(this.authStore, this.phoneNumber);
       const { version, isLatest } = await fetchLatestBaileysVersion();
       
-      logger.info(`Baileys v${version.join('.')}, es la última: ${isLatest}`);
+      this.logger.info(`Baileys v${version.join('.')}, es la última: ${isLatest}`);
 
       this.client = makeWASocket({
         version,
@@ -113,14 +135,15 @@ class WhatsAppService {
         defaultQueryTimeoutMs: 60000,
         connectTimeoutMs: 60000,
         keepAliveIntervalMs: 30000,
-        emitOwnEvents: false
+        emitOwnEvents: false,
+        getMessage: key => this.getStoredMessage(key)
       });
 
       this.setupEventHandlers(saveCreds);
       
-      logger.info(`✅ WhatsApp Service inicializado para ${this.phoneNumber}`);
+      this.logger.info(`✅ WhatsApp Service inicializado para ${this.phoneNumber}`);
     } catch (error) {
-      logger.error(`Error inicializando WhatsApp Service para ${this.phoneNumber}:`, error);
+      this.logger.error(`Error inicializando WhatsApp Service para ${this.phoneNumber}:`, error);
       throw error;
     }
   }
@@ -132,8 +155,9 @@ class WhatsAppService {
       // Solo almacenar el QR, no generarlo automáticamente
       if (qr) {
         this.latestQR = qr;
-        // Solo generar QR si se solicitó explícitamente
-        if (this.shouldGenerateQR) {
+        // Solo generar QR si se solicitó explícitamente o hay clientes de eventos esperándolo
+        // (no mientras haya un código de vinculación vigente)
+        if (!this.hasActivePairingCode() && (this.shouldGenerateQR || this.manager?.isWatchingQR(this.phoneNumber))) {
           this.generateQRCode(qr);
           this.shouldGenerateQR = false; // Resetear flag después de generar
         }
@@ -143,12 +167,13 @@ class WhatsAppService {
         const disconnectReason = (lastDisconnect?.error)?.output?.statusCode;
         const errorCode = lastDisconnect?.error?.output?.payload?.error;
         
-        logger.info(`❌ Conexión cerrada para ${this.phoneNumber} - Razón: ${disconnectReason}, Error: ${errorCode}`);
+        this.logger.info(`❌ Conexión cerrada para ${this.phoneNumber} - Razón: ${disconnectReason}, Error: ${errorCode}`);
+        metrics.recordDisconnect(this.phoneNumber, disconnectReason);
         
         if (disconnectReason === DisconnectReason.loggedOut) {
           // Sesión cerrada desde el celular - eliminar completamente
-          logger.info(`🗑️ Sesión cerrada desde el celular para ${this.phoneNumber} - Eliminando datos`);
-          this.connectionState = 'logged_out';
+          this.logger.info(`🗑️ Sesión cerrada desde el celular para ${this.phoneNumber} - Eliminando datos`);
+          this.setState('logged_out');
           this.isConnected = false;
           this.reconnectAttempts = 0;
           this.qrCode = null;
@@ -157,35 +182,34 @@ class WhatsAppService {
           this.isReconnecting = false;
           
           // Limpiar timeout de reconexión si existe
-          if (this.reconnectTimeout) {
-            clearTimeout(this.reconnectTimeout);
-            this.reconnectTimeout = null;
-          }
+          this.clearReconnectTimer();
           
           // Notificar al manager para que elimine esta instancia completamente
           if (this.manager) {
-            this.manager.removeInstanceCompletely(this.phoneNumber);
+            this.manager.removeInstanceCompletely(this.phoneNumber).catch(error => {
+              this.logger.error(`❌ Error eliminando sesión cerrada ${this.phoneNumber}:`, error);
+            });
           }
         } else if (disconnectReason === 515 || errorCode === '515') {
           // Error 515 específico - reconexión automática
-          logger.warn(`⚠️ Error 515 detectado para ${this.phoneNumber} - Iniciando reconexión automática`);
-          this.connectionState = 'reconnecting';
+          this.logger.warn(`⚠️ Error 515 detectado para ${this.phoneNumber} - Iniciando reconexión automática`);
+          this.setState('reconnecting');
           this.isConnected = false;
           this.qrCode = null;
           this.latestQR = null;
           this.scheduleReconnect();
         } else if (this.shouldAttemptReconnect(disconnectReason)) {
           // Otros errores recuperables
-          logger.info(`🔄 Desconexión recuperable para ${this.phoneNumber} - Programando reconexión`);
-          this.connectionState = 'reconnecting';
+          this.logger.info(`🔄 Desconexión recuperable para ${this.phoneNumber} - Programando reconexión`);
+          this.setState('reconnecting');
           this.isConnected = false;
           this.qrCode = null;
           this.latestQR = null;
           this.scheduleReconnect();
         } else {
           // Desconexión no recuperable
-          logger.info(`❌ Desconexión no recuperable para ${this.phoneNumber}`);
-          this.connectionState = 'disconnected';
+          this.logger.info(`❌ Desconexión no recuperable para ${this.phoneNumber}`);
+          this.setState('disconnected');
           this.isConnected = false;
           this.qrCode = null;
           this.latestQR = null;
@@ -193,51 +217,239 @@ class WhatsAppService {
           this.isReconnecting = false;
           
           // Limpiar timeout de reconexión si existe
-          if (this.reconnectTimeout) {
-            clearTimeout(this.reconnectTimeout);
-            this.reconnectTimeout = null;
-          }
+          this.clearReconnectTimer();
         }
       } else if (connection === 'open') {
-        logger.info(`✅ WhatsApp conectado exitosamente para ${this.phoneNumber}`);
+        this.logger.info(`✅ WhatsApp conectado exitosamente para ${this.phoneNumber}`);
         this.isConnected = true;
-        this.connectionState = 'connected';
+        this.setState('connected');
         this.qrCode = null;
         this.latestQR = null;
+        this.pairingCode = null;
         this.reconnectAttempts = 0;
         this.isReconnecting = false; // IMPORTANTE: Resetear flag de reconexión
         this.lastReconnectTime = 0;
+        this.circuitOpenUntil = null;
         
         // Limpiar timeout de reconexión si existe
-        if (this.reconnectTimeout) {
-          clearTimeout(this.reconnectTimeout);
-          this.reconnectTimeout = null;
-        }
+        this.clearReconnectTimer();
         
         // Detectar si es cuenta business
         this.detectBusinessAccount();
+        
+        // Enviar mensajes que quedaron en cola mientras estaba desconectado
+        if (this.manager) {
+          this.manager.onInstanceConnected(this.phoneNumber);
+        }
       } else if (connection === 'connecting') {
-        logger.info(`🔄 Conectando ${this.phoneNumber}...`);
-        this.connectionState = 'connecting';
+        this.logger.info(`🔄 Conectando ${this.phoneNumber}...`);
+        this.setState('connecting');
         this.isConnected = false;
       }
     });
 
     // Manejo de errores de stream (como el error 515)
     this.client.ev.on('stream:error', (error) => {
-      logger.error(`🚨 Stream error para ${this.phoneNumber}:`, error);
+      this.logger.error(`🚨 Stream error para ${this.phoneNumber}:`, error);
       
       // Si es error 515, programar reconexión
       if (error.code === '515' || error.message?.includes('515')) {
-        logger.warn(`⚠️ Error de stream 515 detectado para ${this.phoneNumber}`);
-        this.connectionState = 'reconnecting';
+        this.logger.warn(`⚠️ Error de stream 515 detectado para ${this.phoneNumber}`);
+        this.setState('reconnecting');
         this.scheduleReconnect();
       }
     });
 
+    // Mensajes entrantes (respuestas de pacientes)
+    this.client.ev.on('messages.upsert', ({ messages, type }) => {
+      // 'notify' son mensajes nuevos; 'append' es historial sincronizado
+      if (type !== 'notify') {
+        return;
+      }
+
+      for (const msg of messages) {
+        this.handleIncomingMessage(msg);
+      }
+    });
+
+    // Cambios de estado de mensajes enviados (servidor, entregado, leído)
+    this.client.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates) {
+        // Votos de encuestas enviadas por el servicio (Baileys los descifra con getMessage)
+        if (key.fromMe && update.pollUpdates) {
+          this.handlePollUpdate(key, update.pollUpdates);
+          continue;
+        }
+        if (!key.fromMe || update.status === undefined || update.status === null) {
+          continue;
+        }
+        this.updateMessageStatus(key.id, MessageTracker.fromBaileysStatus(update.status));
+      }
+    });
+
+    // Confirmaciones de recepción/lectura por destinatario
+    this.client.ev.on('message-receipt.update', (updates) => {
+      for (const { key, receipt } of updates) {
+        if (!key.fromMe) {
+          continue;
+        }
+        if (receipt.readTimestamp || receipt.playedTimestamp) {
+          this.updateMessageStatus(key.id, 'read');
+        } else if (receipt.receiptTimestamp) {
+          this.updateMessageStatus(key.id, 'delivered');
+        }
+      }
+    });
+
     this.client.ev.on('creds.update', saveCreds);
   }
 
+  // Registrar un mensaje enviado para seguir su estado y guardarlo en el historial
+  trackMessage(result, info) {
+    if (!this.manager || !result?.key?.id) {
+      return;
+    }
+
+    const { content, format, options, poll, ...tracked } = info;
+
+    this.manager.messageTracker.track(this.phoneNumber, result.key.id, {
+      ...tracked,
+      status: MessageTracker.fromBaileysStatus(result.status)
+    });
+    this.manager.history.recordOutbound(this.phoneNumber, result.key.id, { ...tracked, content, format, options, poll });
+  }
+
+  updateMessageStatus(messageId, status) {
+    if (this.manager && status) {
+      this.manager.messageTracker.updateStatus(this.phoneNumber, messageId, status);
+      this.manager.capabilities.recordStatus(this.phoneNumber, messageId, status);
+    }
+  }
+
+  // Mensajes propios que Baileys pide para reintentos y para descifrar votos de encuestas.
+  // Las encuestas se reconstruyen desde el historial (opciones y clave de la encuesta).
+  async getStoredMessage(key) {
+    const record = this.manager?.history.findById(this.phoneNumber, key.id);
+    
+    if (!record?.poll?.secret) {
+      return undefined;
+    }
+    
+    return {
+      messageContextInfo: { messageSecret: Buffer.from(record.poll.secret, 'base64') },
+      pollCreationMessage: {
+        name: record.poll.name,
+        options: record.options.map(option => ({ optionName: option.text })),
+        selectableOptionsCount: 1
+      }
+    };
+  }
+
+  // Voto en una encuesta de opciones: se procesa como respuesta del paciente con la opción elegida
+  async handlePollUpdate(key, pollUpdates) {
+    try {
+      const message = await this.getStoredMessage(key);
+      if (!message) {
+        return;
+      }
+      
+      const record = this.manager.history.findById(this.phoneNumber, key.id);
+      const votes = getAggregateVotesInPollMessage({ message, pollUpdates });
+      const selected = votes.find(vote => vote.voters.length > 0);
+      
+      // Voto retirado: no hay nada que informar
+      if (!selected) {
+        return;
+      }
+      
+      const lastUpdate = pollUpdates[pollUpdates.length - 1];
+      const voterJid = jidNormalizedUser(selected.voters[0]);
+      const option = record.options.find(candidate => candidate.text === selected.name);
+      
+      this.processIncomingMessage({
+        messageId: lastUpdate?.pollUpdateMessageKey?.id || `${key.id}-vote`,
+        from: voterJid.split('@')[0],
+        fromJid: voterJid,
+        chatJid: key.remoteJid,
+        isGroup: false,
+        pushName: null,
+        timestamp: lastUpdate?.senderTimestampMs ? new Date(Number(lastUpdate.senderTimestampMs)).toISOString() : new Date().toISOString(),
+        type: 'poll_vote',
+        text: selected.name,
+        media: null,
+        quotedMessageId: key.id,
+        selectedId: option?.id || null
+      });
+    } catch (error) {
+      this.logger.error(`❌ Error procesando voto de encuesta para ${this.phoneNumber}:`, error);
+    }
+  }
+
+  // Procesar un mensaje entrante de WhatsApp
+  handleIncomingMessage(msg) {
+    try {
+      if (!msg.message || msg.key.fromMe || msg.key.remoteJid === 'status@broadcast') {
+        return;
+      }
+
+      const parsed = parseIncomingMessage(msg);
+      if (parsed) {
+        this.processIncomingMessage(parsed);
+      }
+    } catch (error) {
+      this.logger.error(`❌ Error procesando mensaje entrante para ${this.phoneNumber}:`, error);
+    }
+  }
+
+  // Guardar el mensaje en el historial, interpretar si responde a un turno y reenviarlo al webhook de la sesión
+  processIncomingMessage(parsed) {
+    try {
+      this.logger.info(`📥 Mensaje recibido en ${this.phoneNumber} de ${parsed.from} (${parsed.type})`, { from: parsed.from, messageId: parsed.messageId });
+      this.emit('message', parsed);
+
+      if (this.manager) {
+        this.manager.rateLimiter.markKnown(this.phoneNumber, parsed.from);
+        const reply = this.manager.replies.interpret(this.phoneNumber, parsed);
+        this.manager.history.recordInbound(this.phoneNumber, parsed, { appointmentId: reply?.appointmentId, intent: reply?.intent });
+        this.manager.webhooks.dispatch(this.phoneNumber, 'message.received', {
+          ...parsed,
+          sessionPhone: this.phoneNumber
+        });
+        
+        // Una opción elegida con botón, lista o encuesta confirma que el formato funciona
+        if (reply?.optionId && parsed.selectedId && reply.format && reply.format !== 'text') {
+          this.manager.capabilities.recordSupported(this.phoneNumber, reply.format);
+        }
+        
+        // Respuesta a un template de turno ("confirmo", "no puedo ir"): evento estructurado para el sistema de turnos
+        if (reply) {
+          this.manager.webhooks.dispatch(this.phoneNumber, 'appointment.reply', {
+            ...reply,
+            sessionPhone: this.phoneNumber,
+            from: parsed.from,
+            messageId: parsed.messageId,
+            text: parsed.text,
+            receivedAt: parsed.timestamp
+          });
+        }
+      }
+    } catch (error) {
+      this.logger.error(`❌ Error procesando mensaje entrante para ${this.phoneNumber}:`, error);
+    }
+  }
+
+  // Cambiar el estado de conexión y notificar a los suscriptores
+  setState(state) {
+    if (this.connectionState === state) {
+      return;
+    }
+
+    const previous = this.connectionState;
+    this.connectionState = state;
+    metrics.recordState(this.phoneNumber, state);
+    this.emit('state', { state, previous, at: new Date().toISOString() });
+  }
+
   // Determinar si se debe intentar reconectar basado en el código de desconexión
   shouldAttemptReconnect(disconnectReason) {
     const recoverableReasons = [
@@ -254,58 +466,121 @@ class WhatsAppService {
     return recoverableReasons.includes(disconnectReason);
   }
 
+  // Política de reconexión de la sesión (configuración "reconnect" sobre los valores por defecto)
+  getReconnectPolicy() {
+    return this.manager ? this.manager.getReconnectPolicy(this.phoneNumber) : DEFAULT_RECONNECT_POLICY;
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    this.nextReconnectAt = null;
+  }
+
   // Programar reconexión con backoff exponencial
   scheduleReconnect() {
     // Evitar múltiples reconexiones simultáneas
     if (this.isReconnecting) {
-      logger.info(`⏳ Ya hay una reconexión en progreso para ${this.phoneNumber}`);
+      this.logger.info(`⏳ Ya hay una reconexión en progreso para ${this.phoneNumber}`);
       return;
     }
 
+    // Durante el corte solo se reintenta al terminar la espera
+    if (this.circuitOpenUntil && this.circuitOpenUntil > Date.now()) {
+      return;
+    }
+
+    const policy = this.getReconnectPolicy();
+
     // Verificar límite de intentos ANTES de incrementar
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      logger.error(`❌ Máximo de intentos de reconexión alcanzado para ${this.phoneNumber} (${this.maxReconnectAttempts})`);
-      this.connectionState = 'failed';
-      this.isReconnecting = false;
+    if (policy.maxAttempts > 0 && this.reconnectAttempts >= policy.maxAttempts) {
+      this.openCircuit(policy);
       return;
     }
 
     this.isReconnecting = true;
     this.reconnectAttempts++;
+    metrics.recordReconnectAttempt(this.phoneNumber);
 
-    // Calcular delay: 2s para el primer intento, 5s para el segundo
-    const delay = this.reconnectAttempts === 1 ? 2000 : 5000;
+    const delay = computeReconnectDelay(policy, this.reconnectAttempts);
+    const limit = policy.maxAttempts > 0 ? policy.maxAttempts : '∞';
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
 
-    logger.info(`🔄 Programando reconexión ${this.reconnectAttempts}/${this.maxReconnectAttempts} para ${this.phoneNumber} en ${delay/1000}s`);
+    this.logger.info(`🔄 Programando reconexión ${this.reconnectAttempts}/${limit} para ${this.phoneNumber} en ${(delay / 1000).toFixed(1)}s`);
 
     this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null;
+      this.nextReconnectAt = null;
+
       try {
         await this.attemptReconnect();
         // Si llegamos aquí, la reconexión fue exitosa
-        logger.info(`✅ Reconexión completada exitosamente para ${this.phoneNumber}`);
+        this.logger.info(`✅ Reconexión completada exitosamente para ${this.phoneNumber}`);
         this.isReconnecting = false;
       } catch (error) {
-        logger.error(`❌ Error durante reconexión para ${this.phoneNumber}:`, error);
+        this.logger.error(`❌ Error durante reconexión para ${this.phoneNumber}:`, error);
         this.isReconnecting = false;
         
-        // Programar siguiente intento si no se alcanzó el límite
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-          logger.info(`🔄 Programando siguiente intento de reconexión para ${this.phoneNumber}`);
-          // Pequeño delay antes del siguiente intento
-          setTimeout(() => {
-            this.scheduleReconnect();
-          }, 1000);
-        } else {
-          logger.error(`❌ Todos los intentos de reconexión fallaron para ${this.phoneNumber}`);
-          this.connectionState = 'failed';
-        }
+        // Siguiente intento (o corte si se alcanzó el límite)
+        this.scheduleReconnect();
       }
     }, delay);
   }
 
+  // Se agotaron los intentos: queda en "failed" y, si hay cooldown, vuelve a intentar después
+  openCircuit(policy) {
+    this.logger.error(`❌ Máximo de intentos de reconexión alcanzado para ${this.phoneNumber} (${policy.maxAttempts})`);
+    this.setState('failed');
+    this.isReconnecting = false;
+    this.clearReconnectTimer();
+
+    if (policy.cooldownMs <= 0) {
+      this.circuitOpenUntil = null;
+      return;
+    }
+
+    this.circuitOpenUntil = Date.now() + policy.cooldownMs;
+    this.nextReconnectAt = new Date(this.circuitOpenUntil).toISOString();
+    this.logger.info(`⏸️ Reconexión de ${this.phoneNumber} en pausa por ${Math.round(policy.cooldownMs / 1000)}s`);
+
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.circuitOpenUntil = null;
+      this.reconnectAttempts = 0;
+      this.logger.info(`🔄 Fin de la pausa de reconexión para ${this.phoneNumber} - Reintentando`);
+      this.setState('reconnecting');
+      this.scheduleReconnect();
+    }, policy.cooldownMs);
+  }
+
+  // Reconexión manual: cancela la espera o el corte y conecta ya, con el contador de intentos en cero
+  async reconnectNow() {
+    if (this.isConnected) {
+      throw new AppError('La sesión ya está conectada', 409);
+    }
+
+    this.clearReconnectTimer();
+    this.circuitOpenUntil = null;
+    this.reconnectAttempts = 0;
+    this.isReconnecting = true;
+    this.setState('reconnecting');
+
+    try {
+      await this.attemptReconnect();
+    } catch (error) {
+      this.isReconnecting = false;
+      this.scheduleReconnect();
+      throw error;
+    }
+
+    this.isReconnecting = false;
+  }
+
   // Intentar reconexión
   async attemptReconnect() {
-    logger.info(`🔄 Intentando reconexión ${this.reconnectAttempts}/${this.maxReconnectAttempts} para ${this.phoneNumber}`);
+    this.logger.info(`🔄 Intentando reconexión ${this.reconnectAttempts} para ${this.phoneNumber}`);
     
     try {
       // Cerrar cliente existente si existe
@@ -313,26 +588,23 @@ class WhatsAppService {
         try {
           await this.client.end();
         } catch (error) {
-          logger.warn(`⚠️ Error cerrando cliente anterior para ${this.phoneNumber}:`, error.message);
+          this.logger.warn(`⚠️ Error cerrando cliente anterior para ${this.phoneNumber}:`, error.message);
         }
       }
 
       // Limpiar timeout anterior si existe
-      if (this.reconnectTimeout) {
-        clearTimeout(this.reconnectTimeout);
-        this.reconnectTimeout = null;
-      }
+      this.clearReconnectTimer();
 
       // Reinicializar
       await this.initialize();
       
       this.lastReconnectTime = Date.now();
-      logger.info(`✅ Reconexión iniciada exitosamente para ${this.phoneNumber}`);
+      this.logger.info(`✅ Reconexión iniciada exitosamente para ${this.phoneNumber}`);
       
       // NO resetear isReconnecting aquí - se hace en el setTimeout de scheduleReconnect
       
     } catch (error) {
-      logger.error(`❌ Error en reconexión para ${this.phoneNumber}:`, error);
+      this.logger.error(`❌ Error en reconexión para ${this.phoneNumber}:`, error);
       // NO resetear isReconnecting aquí tampoco - se hace en el catch del setTimeout
       throw error;
     }
@@ -346,21 +618,22 @@ class WhatsAppService {
         const user = this.client.user;
         this.isBusinessAccount = !!(user.verifiedName || user.businessProfile || user.isBusiness);
         
-        logger.info(`📊 Cuenta ${this.phoneNumber} - Business: ${this.isBusinessAccount ? 'Sí' : 'No'}`);
+        this.logger.info(`📊 Cuenta ${this.phoneNumber} - Business: ${this.isBusinessAccount ? 'Sí' : 'No'}`);
       }
     } catch (error) {
-      logger.warn(`⚠️ No se pudo detectar tipo de cuenta para ${this.phoneNumber}:`, error.message);
+      this.logger.warn(`⚠️ No se pudo detectar tipo de cuenta para ${this.phoneNumber}:`, error.message);
       this.isBusinessAccount = false;
     }
   }
 
   async generateQRCode(qr) {
     try {
-      this.connectionState = 'qr_ready';
       this.qrCode = await QRCode.toDataURL(qr);
-      logger.info(`📱 Código QR generado para ${this.phoneNumber}`);
+      this.setState('qr_ready');
+      this.emit('qr', { qrCode: this.qrCode, at: new Date().toISOString() });
+      this.logger.info(`📱 Código QR generado para ${this.phoneNumber}`);
     } catch (error) {
-      logger.error(`Error generando QR para ${this.phoneNumber}:`, error);
+      this.logger.error(`Error generando QR para ${this.phoneNumber}:`, error);
       this.qrCode = qr;
     }
   }
@@ -375,6 +648,60 @@ class WhatsAppService {
     }
   }
 
+  hasActivePairingCode() {
+    return !!this.pairingCode && new Date(this.pairingCode.expiresAt).getTime() > Date.now();
+  }
+
+  // Esperar a que el socket esté listo para vincular un dispositivo (WhatsApp emitió el primer QR)
+  async waitForLoginReady(timeout = 30000) {
+    const startTime = Date.now();
+    
+    while (!this.latestQR) {
+      if (this.isConnected) {
+        throw new AppError('La sesión ya está conectada', 409);
+      }
+      if (Date.now() - startTime > timeout) {
+        throw new AppError('Timeout esperando que la sesión esté lista para vincular', 504);
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  // Solicitar código de vinculación para ingresar en el teléfono (Dispositivos vinculados > Vincular con número)
+  async requestPairingCode() {
+    if (this.isConnected) {
+      throw new AppError('La sesión ya está conectada', 409);
+    }
+    
+    if (this.client?.authState?.creds?.registered) {
+      throw new AppError('La sesión ya está vinculada, esperando reconexión', 409);
+    }
+    
+    // Reutilizar el código vigente para no invalidar el que ya se mostró
+    if (this.hasActivePairingCode()) {
+      return this.pairingCode;
+    }
+    
+    await this.waitForLoginReady();
+    
+    const code = await this.client.requestPairingCode(this.phoneNumber);
+    const now = Date.now();
+    
+    this.pairingCode = {
+      code,
+      formatted: code.match(/.{1,4}/g).join('-'),
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.pairingCodeTTL).toISOString()
+    };
+    this.qrCode = null;
+    this.setState('pairing_code_ready');
+    this.emit('pairing_code', this.pairingCode);
+    
+    this.logger.info(`🔢 Código de vinculación generado para ${this.phoneNumber} (vence ${this.pairingCode.expiresAt})`);
+    
+    return this.pairingCode;
+  }
+
   // Método para obtener QR sin generar uno nuevo
   getQRCode() {
     return this.qrCode;
@@ -384,12 +711,15 @@ class WhatsAppService {
     return {
       isConnected: this.isConnected,
       state: this.connectionState,
-      qrCode: this.qrCode,
       phoneNumber: this.phoneNumber,
       reconnectAttempts: this.reconnectAttempts,
-      maxReconnectAttempts: this.maxReconnectAttempts,
+      maxReconnectAttempts: this.getReconnectPolicy().maxAttempts,
       isReconnecting: this.isReconnecting,
+      nextReconnectAt: this.nextReconnectAt,
+      circuitOpenUntil: this.circuitOpenUntil ? new Date(this.circuitOpenUntil).toISOString() : null,
       isBusinessAccount: this.isBusinessAccount,
+      queuedMessages: this.manager ? this.manager.outbox.getPendingCount(this.phoneNumber) : 0,
+      rateLimit: this.manager ? this.manager.rateLimiter.getUsage(this.phoneNumber) : null,
       lastUpdate: new Date().toISOString(),
       needsQR: this.connectionState === 'qr_ready' && this.qrCode !== null,
       canConnect: !this.isConnected && this.connectionState !== 'connecting'
@@ -432,41 +762,44 @@ class WhatsAppService {
   }
 
   async sendMessage(to, message) {
+    // Validar destinatario y contenido antes de esperar la conexión (los errores de formato son 400)
+    const jid = this.formatPhoneNumber(to);
+    const content = buildMessageContent(message);
+    const messageType = getMessageType(message);
+    
     // Esperar hasta que esté conectado o falle
     await this.waitForConnection();
     
     if (!this.isConnected) {
       throw new Error('WhatsApp no está conectado');
     }
+    
+    // Respetar los límites de envío de la sesión (espera su turno o lanza RateLimitError)
+    const reservation = this.manager ? await this.manager.rateLimiter.waitForSlot(this.phoneNumber, to) : null;
   
     try {
-      const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
+      const result = await this.client.sendMessage(jid, content);
       
-      if (typeof message === 'string') {
-        await this.client.sendMessage(jid, { text: message });
-      } else if (message.type === 'image') {
-        await this.client.sendMessage(jid, {
-          image: { url: message.url },
-          caption: message.caption || ''
-        });
-      } else if (message.type === 'document') {
-        await this.client.sendMessage(jid, {
-          document: { url: message.url },
-          fileName: message.fileName || 'document',
-          mimetype: message.mimetype || 'application/octet-stream'
-        });
-      }
+      this.trackMessage(result, {
+        to,
+        type: messageType,
+        content
+      });
+      metrics.recordSent(this.phoneNumber, messageType);
       
-      logger.info(`📤 Mensaje enviado a ${to}`);
-      return { success: true };
+      this.logger.info(`📤 Mensaje enviado a ${to}`, { to, messageId: result?.key?.id });
+      return { success: true, messageId: result?.key?.id || null };
     } catch (error) {
-      logger.error('Error enviando mensaje:', error);
+      this.logger.error(`❌ Error enviando mensaje a ${to}:`, error);
+      metrics.recordFailed(this.phoneNumber, messageType);
+      this.manager?.rateLimiter.release(this.phoneNumber, reservation);
+      this.manager?.history.recordFailed(this.phoneNumber, { to, type: messageType, content, error });
       
       // Notificar error al servidor
       await this.notifyError({
         type: 'message_send_error',
         phone: to,
-        messageType: typeof message === 'string' ? 'text' : message.type,
+        messageType,
         error: {
           message: error.message,
           stack: error.stack,
@@ -482,14 +815,19 @@ class WhatsAppService {
     }
   }
 
-  // Método para notificar errores al servidor
+  // Método para notificar errores al servidor (y a los webhooks suscritos al evento "error")
   async notifyError(errorData) {
+    if (this.manager) {
+      const { stack, ...error } = errorData.error || {};
+      this.manager.webhooks.dispatch(this.phoneNumber, 'error', { ...errorData, error });
+    }
+    
     const notificationUrl = process.env.ERROR_NOTIFICATION_URL;
     const notificationKey = process.env.ERROR_NOTIFICATION_KEY;
     
     // Si no está configurado, solo hacer log local
     if (!notificationUrl || !notificationKey) {
-      logger.warn('⚠️ Notificación de errores no configurada - solo log local');
+      this.logger.warn('⚠️ Notificación de errores no configurada - solo log local');
       return;
     }
 
@@ -515,16 +853,16 @@ class WhatsAppService {
         });
 
         if (response.ok) {
-          logger.info(`📧 Notificación de error enviada exitosamente (intento ${attempt})`);
+          this.logger.info(`📧 Notificación de error enviada exitosamente (intento ${attempt})`);
           return;
         } else {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
       } catch (error) {
-        logger.warn(`⚠️ Error enviando notificación (intento ${attempt}/3):`, error.message);
+        this.logger.warn(`⚠️ Error enviando notificación (intento ${attempt}/3):`, error.message);
         
         if (attempt === 3) {
-          logger.error('❌ Falló el envío de notificación después de 3 intentos');
+          this.logger.error('❌ Falló el envío de notificación después de 3 intentos');
         } else {
           // Esperar antes del siguiente intento (backoff exponencial)
           await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
@@ -533,51 +871,111 @@ class WhatsAppService {
     }
   }
 
+  templateLogFields(to, templateData, result) {
+    return { to, appointmentId: templateData.appointmentId, messageType: templateData.messageType, messageId: result?.key?.id };
+  }
+
+  recordTemplateSent(templateData, result) {
+    metrics.recordSent(this.phoneNumber, 'template');
+    metrics.recordTemplate(this.phoneNumber, templateData.messageType, result);
+  }
+
   async sendTemplate(to, templateData) {
     await this.waitForConnection();
     
     if (!this.isConnected) {
       throw new Error('WhatsApp no está conectado');
     }
+    
+    const reservation = this.manager ? await this.manager.rateLimiter.waitForSlot(this.phoneNumber, to) : null;
+
+    let message = null;
+    let choices = null;
 
     try {
       // Formatear el número de teléfono correctamente
       const jid = this.formatPhoneNumber(to);
       
-      const message = this.generateTemplateMessage(templateData);
+      // Templates con opciones de respuesta (botones, lista, encuesta o texto numerado)
+      choices = this.generateTemplateOptions(templateData);
+      if (choices) {
+        return await this.sendTemplateWithOptions(jid, to, templateData, choices);
+      }
+      
+      message = this.generateTemplateMessage(templateData);
+      const capabilities = this.manager.capabilities;
       
-      // Si es cuenta business y el mensaje tiene botones, intentar enviar con botones
-      if (this.isBusinessAccount && typeof message === 'object' && message.templateButtons) {
+      // Si es cuenta business y el mensaje tiene botones, intentar enviar con botones (salvo que ya hayan fallado en esta sesión)
+      if (typeof message === 'object' && message.templateButtons &&
+          capabilities.isAllowed(this.phoneNumber, 'urlButtons', { isBusinessAccount: this.isBusinessAccount })) {
         try {
           const result = await this.client.sendMessage(jid, {
             text: message.text,
             templateButtons: message.templateButtons
           });
           
-          logger.info(`📤 Template con botones enviado a ${to}`);
-          return { success: true, messageId: result.key.id };
+          this.trackMessage(result, {
+            to,
+            type: 'template',
+            appointmentId: templateData.appointmentId,
+            messageType: templateData.messageType,
+            content: { text: message.text },
+            format: 'urlButtons'
+          });
+          capabilities.recordSent(this.phoneNumber, 'urlButtons', result.key.id);
+          this.recordTemplateSent(templateData, 'sent');
+          this.logger.info(`📤 Template con botones enviado a ${to}`, this.templateLogFields(to, templateData, result));
+          return { success: true, messageId: result.key.id, format: 'urlButtons' };
         } catch (buttonError) {
-          logger.warn(`⚠️ Error enviando botones, enviando texto plano:`, buttonError.message);
+          this.logger.warn(`⚠️ Error enviando botones, enviando texto plano:`, buttonError.message);
+          capabilities.recordFailure(this.phoneNumber, 'urlButtons', buttonError);
           // Fallback a texto plano
           const fallbackMessage = this.generateFallbackMessage(templateData);
           const result = await this.client.sendMessage(jid, { text: fallbackMessage });
-          logger.info(`📤 Template (fallback) enviado a ${to}`);
-          return { success: true, messageId: result.key.id };
+          this.trackMessage(result, {
+            to,
+            type: 'template',
+            appointmentId: templateData.appointmentId,
+            messageType: templateData.messageType,
+            content: { text: fallbackMessage }
+          });
+          this.recordTemplateSent(templateData, 'fallback');
+          this.logger.info(`📤 Template (fallback) enviado a ${to}`, this.templateLogFields(to, templateData, result));
+          return { success: true, messageId: result.key.id, format: 'text' };
         }
       } else {
-        // Para cuentas no business o mensajes sin botones, enviar como texto
-        const textMessage = typeof message === 'object' ? message.text : message;
+        // Para cuentas no business, mensajes sin botones o botones no soportados, enviar como texto
+        const textMessage = typeof message === 'object' ? this.generateFallbackMessage(templateData) : message;
         const result = await this.client.sendMessage(jid, { text: textMessage });
-        logger.info(`📤 Template enviado a ${to}`);
-        return { success: true, messageId: result.key.id };
+        this.trackMessage(result, {
+          to,
+          type: 'template',
+          appointmentId: templateData.appointmentId,
+          messageType: templateData.messageType,
+          content: { text: textMessage }
+        });
+        this.recordTemplateSent(templateData, typeof message === 'object' ? 'fallback' : 'sent');
+        this.logger.info(`📤 Template enviado a ${to}`, this.templateLogFields(to, templateData, result));
+        return { success: true, messageId: result.key.id, format: 'text' };
       }
     } catch (error) {
-      logger.error(`❌ Error enviando template a ${to}:`, error);
+      this.logger.error(`❌ Error enviando template a ${to}:`, error);
+      metrics.recordFailed(this.phoneNumber, 'template');
+      metrics.recordTemplate(this.phoneNumber, templateData.messageType, 'failed');
+      this.manager?.rateLimiter.release(this.phoneNumber, reservation);
+      this.manager?.history.recordFailed(this.phoneNumber, {
+        to,
+        type: 'template',
+        content: { text: typeof message === 'object' ? message?.text : message },
+        appointmentId: templateData.appointmentId,
+        messageType: templateData.messageType,
+        error
+      });
       
       // Notificar error al servidor
       await this.notifyError({
         type: 'template_send_error',
-        appointmentId: templateData.appointmentData?.appointmentId || 'unknown',
+        appointmentId: templateData.appointmentId || templateData.appointmentData?.appointmentId || 'unknown',
         phone: to,
         messageType: templateData.messageType,
         error: {
@@ -588,7 +986,8 @@ class WhatsAppService {
         context: {
           isBusinessAccount: this.isBusinessAccount,
           connectionState: this.connectionState,
-          hasButtons: typeof message === 'object' && message.templateButtons ? true : false
+          hasButtons: typeof message === 'object' && message.templateButtons ? true : false,
+          optionsFormat: choices?.format || null
         }
       });
       
@@ -596,290 +995,222 @@ class WhatsAppService {
     }
   }
 
-  // Método auxiliar para formatear números de teléfono
-  formatPhoneNumber(phoneNumber) {
-    // Si ya tiene el formato de WhatsApp, devolverlo tal como está
-    if (phoneNumber.includes('@')) {
-      return phoneNumber;
-    }
-    
-    // Limpiar el número (solo dígitos)
-    const cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
-    
-    // Validar que el número tenga al menos 10 dígitos
-    if (cleanNumber.length < 10) {
-      throw new Error(`Número de teléfono inválido: ${phoneNumber}`);
-    }
-    
-    // Agregar el sufijo de WhatsApp
-    return `${cleanNumber}@s.whatsapp.net`;
-  }
+  // Enviar un template con opciones de respuesta en el formato del template, o el siguiente que
+  // funcione en esta sesión (la matriz de capacidades recuerda qué formatos se entregaron)
+  async sendTemplateWithOptions(jid, to, templateData, choices) {
+    const capabilities = this.manager.capabilities;
+    const formats = capabilities.negotiate(this.phoneNumber, choices.format, { isBusinessAccount: this.isBusinessAccount });
+    let bodySent = null;
 
-  // Método para generar mensaje de fallback (texto plano)
-  generateFallbackMessage(templateData) {
-    const { messageType, appointmentData, confirmUrl, cancelUrl } = templateData;
-    const formattedDate = this.formatAppointmentDate(appointmentData.date);
-    
-    switch (messageType) {
-      case 'reminder':
-        return this.generateReminderMessage(appointmentData, formattedDate, confirmUrl, cancelUrl);
-      case 'urgent':
-        return this.generateUrgentMessage(appointmentData, formattedDate, confirmUrl, cancelUrl);
-      default: // confirmation
-        return this.generateConfirmationMessage(appointmentData, formattedDate, confirmUrl, cancelUrl);
+    for (const format of formats) {
+      try {
+        let result;
+        let poll = null;
+        
+        if (format === 'poll') {
+          // La encuesta no lleva el texto del template: primero va el mensaje y después la encuesta
+          if (!bodySent) {
+            bodySent = await this.client.sendMessage(jid, { text: choices.text });
+            this.trackMessage(bodySent, {
+              to,
+              type: 'template',
+              appointmentId: templateData.appointmentId,
+              messageType: templateData.messageType,
+              content: { text: choices.text }
+            });
+          }
+          result = await this.client.sendMessage(jid, this.buildOptionsContent(format, choices));
+          const secret = result?.message?.messageContextInfo?.messageSecret;
+          poll = { name: choices.optionsTitle, secret: secret ? Buffer.from(secret).toString('base64') : null };
+        } else {
+          // Si la encuesta falló después de enviar el texto, el texto numerado solo lleva las opciones
+          result = await this.client.sendMessage(jid, this.buildOptionsContent(format, choices, { withBody: !bodySent }));
+        }
+        
+        this.trackMessage(result, {
+          to,
+          type: 'template',
+          appointmentId: templateData.appointmentId,
+          messageType: templateData.messageType,
+          content: { text: format === 'poll' ? choices.optionsTitle : choices.text },
+          format,
+          options: choices.options.map(({ id, text }) => ({ id, text })),
+          poll
+        });
+        
+        if (format !== 'text') {
+          capabilities.recordSent(this.phoneNumber, format, result.key.id);
+        }
+        
+        this.recordTemplateSent(templateData, format === choices.format ? 'sent' : 'fallback');
+        this.logger.info(`📤 Template (${format}) enviado a ${to}`, { ...this.templateLogFields(to, templateData, result), format });
+        return {
+          success: true,
+          messageId: (bodySent || result).key.id,
+          format,
+          ...(bodySent && { optionsMessageId: result.key.id })
+        };
+      } catch (error) {
+        if (format === 'text') {
+          throw error;
+        }
+        
+        this.logger.warn(`⚠️ Error enviando opciones como ${format}, enviando texto numerado:`, error.message);
+        capabilities.recordFailure(this.phoneNumber, format, error);
+      }
     }
   }
 
-  generateTemplateMessage(data) {
-    const { messageType, appointmentData, confirmUrl, cancelUrl } = data;
-    const formattedDate = this.formatAppointmentDate(appointmentData.date);
+  // Contenido de Baileys para las opciones en cada formato
+  buildOptionsContent(format, choices, { withBody = true } = {}) {
+    const { text, options } = choices;
     
-    switch (messageType) {
-      case 'confirmation':
-        return this.generateConfirmationMessage(appointmentData, formattedDate, confirmUrl, cancelUrl);
-      case 'reminder':
-        return this.generateReminderMessage(appointmentData, formattedDate, confirmUrl, cancelUrl);
-      case 'urgent':
-        return this.generateUrgentMessage(appointmentData, formattedDate, confirmUrl, cancelUrl);
-      default:
-        throw new Error(`Tipo de mensaje no válido: ${messageType}`);
+    switch (format) {
+      case 'buttons':
+        return {
+          text,
+          buttons: options.map(option => ({ buttonId: option.id, buttonText: { displayText: option.text }, type: 1 })),
+          headerType: 1
+        };
+      case 'list':
+        return {
+          text,
+          title: choices.optionsTitle,
+          buttonText: choices.listButtonText,
+          sections: [{
+            title: choices.optionsTitle,
+            rows: options.map(option => ({ rowId: option.id, title: option.text, description: option.description || undefined }))
+          }]
+        };
+      case 'poll':
+        return {
+          poll: { name: choices.optionsTitle, values: options.map(option => option.text), selectableCount: 1 }
+        };
+      default: {
+        // Texto con opciones numeradas ("Responda con el número de la opción: 1 ✅ Confirmar")
+        const numbered = options.map((option, index) => `*${index + 1}.* ${option.text}`).join('\n');
+        return { text: `${withBody ? `${text}\n\n` : ''}${choices.optionsHeader}\n${numbered}` };
+      }
     }
   }
 
-  formatAppointmentDate(dateStr) {
-    // Parsear la fecha como está, sin conversión de zona horaria
-    // Asumiendo formato YYYY-MM-DD o similar
-    let date;
+  // Consultar qué números tienen WhatsApp: Map número -> JID canónico (solo los que existen)
+  async lookupNumbers(numbers) {
+    await this.waitForConnection();
     
-    if (dateStr.includes('-')) {
-      // Formato YYYY-MM-DD
-      const [year, month, day] = dateStr.split('-').map(Number);
-      date = new Date(year, month - 1, day); // month - 1 porque Date usa 0-11 para meses
-    } else {
-      // Si viene en otro formato, usar Date pero forzar UTC para evitar conversiones
-      date = new Date(dateStr + 'T00:00:00');
+    if (!this.isConnected) {
+      throw new AppError('WhatsApp no está conectado', 503);
     }
     
-    // Para comparar con hoy y mañana, usar la misma lógica sin zona horaria
-    const today = new Date();
-    const todayLocal = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    
-    const tomorrow = new Date(todayLocal);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    const dayNames = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
-    const monthNames = ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 
-                       'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'];
+    const found = new Map();
+    const unmatched = new Set(numbers);
+    const results = await this.client.onWhatsApp(...numbers);
     
-    const dayName = dayNames[date.getDay()];
-    const day = date.getDate();
-    const month = monthNames[date.getMonth()];
-    
-    // Comparar solo año, mes y día (sin hora)
-    const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    
-    if (dateOnly.getTime() === todayLocal.getTime()) {
-      return `HOY - ${dayName} ${day} de ${month}`;
-    } else if (dateOnly.getTime() === tomorrow.getTime()) {
-      return `MAÑANA - ${dayName} ${day} de ${month}`;
-    } else {
-      return `${dayName} ${day} de ${month}`;
+    for (const { jid } of results) {
+      const user = jid.split('@')[0];
+      if (unmatched.has(user)) {
+        found.set(user, jid);
+        unmatched.delete(user);
+      }
     }
-  }
-
-  generateConfirmationMessage(data, formattedDate, confirmUrl, cancelUrl) {
-    const { professionalName, patientName, serviceName, locationName, time, locationAddress } = data;
-    //👤 *Paciente:* ${patientName}
-
-    const baseMessage = `📅 *TURNO ASIGNADO*
     
-    ✨ *Servicio:* ${serviceName}
-    👨‍⚕️ *Profesional:* ${professionalName}
-    📅 *Fecha:* ${formattedDate}
-    🕐 *Hora:* ${time} hs
-    📍 *Lugar:* ${locationName}
-    🗺️ *Dirección:* ${locationAddress}
-
-    Por favor, confirme su asistencia al turno.`;
-
-    // Si es cuenta business y hay URLs, crear botones
-    if (this.isBusinessAccount && (confirmUrl || cancelUrl)) {
-      const templateButtons = [];
-      
-      if (confirmUrl) {
-        templateButtons.push({
-          index: 1,
-          urlButton: {
-            displayText: '✅ Confirmar Turno',
-            url: confirmUrl
-          }
-        });
-      }
-      
-      if (cancelUrl) {
-        templateButtons.push({
-          index: templateButtons.length + 1,
-          urlButton: {
-            displayText: '❌ Cancelar Turno',
-            url: cancelUrl
-          }
-        });
+    // WhatsApp puede devolver un JID canónico distinto del número consultado:
+    // si quedaron resultados sin asociar, consultar de a uno los números pendientes
+    if (found.size < results.length) {
+      for (const number of unmatched) {
+        const [result] = await this.client.onWhatsApp(number);
+        if (result?.exists) {
+          found.set(number, result.jid);
+        }
       }
-      
-      return {
-        text: baseMessage,
-        templateButtons: templateButtons
-      };
     }
     
-    // Para cuentas no business o sin URLs, devolver solo texto
-    let textMessage = baseMessage;
-    if (confirmUrl || cancelUrl) {
-      textMessage += '\n\n📱 *Opciones:*';
-      if (confirmUrl) textMessage += `\n✅ Confirmar Turno: ${confirmUrl}`;
-      if (cancelUrl) textMessage += `\n❌ Cancelar Turno: ${cancelUrl}`;
+    return found;
+  }
+
+  // Método auxiliar para formatear números de teléfono
+  formatPhoneNumber(phoneNumber) {
+    // Si ya tiene el formato de WhatsApp, devolverlo tal como está
+    if (phoneNumber.includes('@')) {
+      return phoneNumber;
     }
     
-    return textMessage;
+    // Normalizar con el país por defecto de la sesión (formato local, 9/15 de Argentina, 1 de México)
+    const number = this.manager
+      ? this.manager.normalizeRecipient(this.phoneNumber, phoneNumber)
+      : normalizePhoneNumber(phoneNumber).whatsapp;
+    
+    // Agregar el sufijo de WhatsApp
+    return `${number}@s.whatsapp.net`;
   }
 
-  generateReminderMessage(data, formattedDate, confirmUrl, cancelUrl) {
-    const { professionalName, patientName, serviceName, locationName, time, locationAddress } = data;
+  // Template registrado (messageType = nombre del template) y sus variables para el envío
+  resolveTemplate(templateData) {
+    const { messageType, appointmentData } = templateData;
+    const template = this.manager.templates.get(messageType, this.phoneNumber);
     
-    const baseMessage = `⏰ *RECORDATORIO DE TURNO*
-    ━━━━━━━━━━━━━━━━━━━━━
-
-    ¡Hola ${patientName}! 👋
-    Te recordamos tu próximo turno:
-
-    🏥 *Servicio:* ${serviceName}
-    👨‍⚕️ *Profesional:* ${professionalName}
-    📅 *Fecha:* ${formattedDate}
-    🕐 *Hora:* ${time} hs
-    📍 *Lugar:* ${locationName}
-    🗺️ *Dirección:* ${locationAddress}
-
-    ━━━━━━━━━━━━━━━━━━━━━
-
-    📞 _Si tienes dudas, contactanos_`;
-
-    // Si es cuenta business y hay URLs, crear botones
-    if (this.isBusinessAccount && (confirmUrl || cancelUrl)) {
-      const templateButtons = [];
-      
-      if (confirmUrl) {
-        templateButtons.push({
-          index: 1,
-          urlButton: {
-            displayText: '✅ Confirmar Turno',
-            url: confirmUrl
-          }
-        });
-      }
-      
-      if (cancelUrl) {
-        templateButtons.push({
-          index: templateButtons.length + 1,
-          urlButton: {
-            displayText: '❌ Cancelar Turno',
-            url: cancelUrl
-          }
-        });
-      }
-      
-      return {
-        text: baseMessage,
-        templateButtons: templateButtons
-      };
+    if (!template) {
+      throw new Error(`Tipo de mensaje no válido: ${messageType}`);
     }
     
-    // Para cuentas no business o sin URLs, devolver solo texto
-    let textMessage = baseMessage;
-    if (confirmUrl || cancelUrl) {
-      textMessage += '\n\n📱 *Opciones:*';
-      if (confirmUrl) textMessage += `\n✅ Confirmar Turno: ${confirmUrl}`;
-      if (cancelUrl) textMessage += `\n❌ Cancelar Turno: ${cancelUrl}`;
-    }
+    // Fecha y hora en el idioma y la zona horaria de la clínica (o los indicados en el envío)
+    const { locale, timeZone } = this.manager.settings.getLocale(this.phoneNumber, templateData);
+    const vars = buildTemplateVariables(templateData, {
+      formattedDate: formatAppointmentDate(appointmentData.date, { locale, timeZone }),
+      formattedTime: formatAppointmentTime(appointmentData.time, locale)
+    });
     
-    return textMessage;
+    return { template, vars, locale };
   }
 
-  generateUrgentMessage(data, formattedDate, confirmUrl, cancelUrl) {
-    const { professionalName, patientName, serviceName, locationName, time } = data;
-    
-    const baseMessage = `
-    ━━━━━━━━━━━━━━━━━━━━━
-
-    ⚠️ *ATENCIÓN ${patientName}*
+  // Construir el mensaje de un template registrado
+  renderTemplate(templateData, interactive) {
+    const { template, vars, locale } = this.resolveTemplate(templateData);
+    return this.manager.templates.render(template, vars, { interactive, locale });
+  }
 
-    Tu turno de *HOY*:
+  // Opciones de respuesta del template con el texto del mensaje (null si no tiene opciones)
+  generateTemplateOptions(templateData) {
+    const { template, vars, locale } = this.resolveTemplate(templateData);
+    const choices = this.manager.templates.renderOptions(template, vars, { locale });
+    
+    return choices && { ...choices, text: this.manager.templates.render(template, vars, { interactive: false, locale }) };
+  }
 
-    🏥 *Servicio:* ${serviceName}
-    👨‍⚕️ *Profesional:* ${professionalName}
-    📅 *Fecha:* ${formattedDate}
-    🕐 *Hora:* ${time} hs
-    📍 *Lugar:* ${locationName}
+  // Método para generar mensaje de fallback (texto plano)
+  generateFallbackMessage(templateData) {
+    return this.renderTemplate(templateData, false);
+  }
 
-    ━━━━━━━━━━━━━━━━━━━━━`;
+  generateTemplateMessage(data) {
+    return this.renderTemplate(data, this.isBusinessAccount);
+  }
 
-    // Si es cuenta business y hay URLs, crear botones
-    if (this.isBusinessAccount && (confirmUrl || cancelUrl)) {
-      const templateButtons = [];
-      
-      if (confirmUrl) {
-        templateButtons.push({
-          index: 1,
-          urlButton: {
-            displayText: '✅ Confirmar Turno',
-            url: confirmUrl
-          }
-        });
-      }
-      
-      if (cancelUrl) {
-        templateButtons.push({
-          index: templateButtons.length + 1,
-          urlButton: {
-            displayText: '❌ Cancelar Turno',
-            url: cancelUrl
-          }
-        });
-      }
-      
-      return {
-        text: baseMessage,
-        templateButtons: templateButtons
-      };
-    }
-    
-    // Para cuentas no business o sin URLs, devolver solo texto
-    let textMessage = baseMessage;
-    if (confirmUrl || cancelUrl) {
-      textMessage += '\n\n📱 *RESPONDA INMEDIATAMENTE:*';
-      if (confirmUrl) textMessage += `\n✅ Confirmar Turno: ${confirmUrl}`;
-      if (cancelUrl) textMessage += `\n❌ Cancelar Turno: ${cancelUrl}`;
+  // Cerrar sesión en WhatsApp: desvincula este dispositivo del teléfono
+  async logout() {
+    if (!this.client || !this.isConnected) {
+      throw new AppError('La sesión no está conectada', 409);
     }
     
-    return textMessage;
+    this.logger.info(`🚪 Cerrando sesión en WhatsApp para ${this.phoneNumber}...`);
+    await this.client.logout();
   }
 
   async gracefulShutdown() {
-    logger.info(`🛑 Cerrando conexión WhatsApp para ${this.phoneNumber}...`);
+    this.logger.info(`🛑 Cerrando conexión WhatsApp para ${this.phoneNumber}...`);
     
     // Limpiar timeout de reconexión
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-      this.reconnectTimeout = null;
-    }
+    this.clearReconnectTimer();
+    this.circuitOpenUntil = null;
     
     this.isReconnecting = false;
     
     if (this.client) {
       try {
         await this.client.end();
-        logger.info(`✅ Conexión cerrada exitosamente para ${this.phoneNumber}`);
+        this.logger.info(`✅ Conexión cerrada exitosamente para ${this.phoneNumber}`);
       } catch (error) {
-        logger.error(`❌ Error cerrando conexión para ${this.phoneNumber}:`, error);
+        this.logger.error(`❌ Error cerrando conexión para ${this.phoneNumber}:`, error);
       }
     }
     
@@ -889,7 +1220,7 @@ class WhatsAppService {
     }
     
     this.isConnected = false;
-    this.connectionState = 'disconnected';
+    this.setState('disconnected');
   }
 }
 
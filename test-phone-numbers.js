@@ -0,0 +1,50 @@
+import assert from 'assert';
+import { normalizePhoneNumber } from './utils/phoneNumber.js';
+
+// Casos de normalización de números (ejecutar con: node test-phone-numbers.js)
+const valid = [
+  ['011 15 2345-6789', 'AR', '5491123456789'],
+  ['2346 15 33-4077', 'AR', '5492346334077'],
+  ['+54 11 2345 6789', 'AR', '5491123456789'],
+  ['5492346334077', 'AR', '5492346334077'],
+  ['+52 55 1234 5678', null, '5215512345678'],
+  ['044 55 1234 5678', 'MX', '5215512345678']
+];
+
+const invalid = [
+  ['15 2345 6789', 'AR', /falta el código de área/],
+  ['015 2345 6789', 'AR', /falta el código de área/],
+  ['+54 15 2345 6789', null, /falta el código de área/],
+  ['11 2345 678', 'AR', /se esperan 10 dígitos/]
+];
+
+let failed = 0;
+
+function check(description, test) {
+  try {
+    test();
+    console.log(`✅ ${description}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${description}: ${error.message}`);
+  }
+}
+
+for (const [input, defaultCountry, expected] of valid) {
+  check(`${input} (${defaultCountry || 'internacional'}) -> ${expected}`, () => {
+    assert.strictEqual(normalizePhoneNumber(input, { defaultCountry }).whatsapp, expected);
+  });
+}
+
+for (const [input, defaultCountry, message] of invalid) {
+  check(`${input} (${defaultCountry || 'internacional'}) se rechaza`, () => {
+    assert.throws(() => normalizePhoneNumber(input, { defaultCountry }), error => error.statusCode === 400 && message.test(error.message));
+  });
+}
+
+if (failed > 0) {
+  console.log(`💥 ${failed} casos fallaron`);
+  process.exit(1);
+}
+
+console.log('🎉 Todos los casos pasaron');
@@ -0,0 +1,143 @@
+// Formateo de fechas de citas según idioma y zona horaria de la clínica
+
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'es-AR';
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Argentina/Buenos_Aires';
+
+// Etiquetas de días relativos por idioma
+const RELATIVE_LABELS = {
+  es: { today: 'HOY', tomorrow: 'MAÑANA' },
+  pt: { today: 'HOJE', tomorrow: 'AMANHÃ' },
+  en: { today: 'TODAY', tomorrow: 'TOMORROW' }
+};
+
+export function getLanguage(locale) {
+  return String(locale || DEFAULT_LOCALE).split('-')[0].toLowerCase();
+}
+
+export function isValidLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toLocaleUpperCase() + text.slice(1);
+}
+
+// Fecha de hoy (YYYY-MM-DD) en la zona horaria indicada
+export function getTodayInTimeZone(timeZone, now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+// Diferencia en ms entre la hora local de la zona y UTC para un instante dado
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Convertir fecha (YYYY-MM-DD) y hora (HH:mm) locales de la clínica a un Date absoluto
+export function zonedDateTimeToDate(dateStr, timeStr = '00:00', timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = String(dateStr).split('-').map(Number);
+  const [hours, minutes] = String(timeStr || '00:00').split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours || 0, minutes || 0);
+
+  if (isNaN(guess)) {
+    return null;
+  }
+
+  // Ajustar por el offset de la zona (dos pasos para cubrir cambios de horario de verano)
+  let timestamp = guess - getTimeZoneOffset(guess, timeZone);
+  timestamp = guess - getTimeZoneOffset(timestamp, timeZone);
+
+  return new Date(timestamp);
+}
+
+// "HOY - Lunes 20 de Octubre" / "AMANHÃ - Terça-feira, 21 de outubro" / "Monday, October 20"
+export function formatAppointmentDate(dateStr, { locale = DEFAULT_LOCALE, timeZone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const [year, month, day] = String(dateStr).split('-').map(Number);
+  // La fecha de la cita es un día calendario: se formatea en UTC para que no cambie de día
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (isNaN(date.getTime())) {
+    return String(dateStr);
+  }
+
+  const language = getLanguage(locale);
+  const format = options => new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options }).format(date);
+  const dayName = capitalize(format({ weekday: 'long' }));
+  const monthName = format({ month: 'long' });
+
+  let formatted;
+  switch (language) {
+    case 'es':
+      formatted = `${dayName} ${day} de ${capitalize(monthName)}`;
+      break;
+    case 'pt':
+      formatted = `${dayName}, ${day} de ${monthName}`;
+      break;
+    default:
+      formatted = capitalize(format({ weekday: 'long', month: 'long', day: 'numeric' }));
+  }
+
+  // Comparar contra el día actual en la zona horaria de la clínica (no la del servidor)
+  const today = getTodayInTimeZone(timeZone, now);
+  const [todayYear, todayMonth, todayDay] = today.split('-').map(Number);
+  const tomorrow = new Date(Date.UTC(todayYear, todayMonth - 1, todayDay + 1)).toISOString().slice(0, 10);
+  const dateOnly = date.toISOString().slice(0, 10);
+  const labels = RELATIVE_LABELS[language];
+
+  if (labels && dateOnly === today) {
+    return `${labels.today} - ${formatted}`;
+  } else if (labels && dateOnly === tomorrow) {
+    return `${labels.tomorrow} - ${formatted}`;
+  }
+  return formatted;
+}
+
+// Hora de la cita en el formato habitual del idioma ("10:30" o "10:30 AM")
+export function formatAppointmentTime(timeStr, locale = DEFAULT_LOCALE) {
+  const [hours, minutes] = String(timeStr || '').split(':').map(Number);
+
+  if (isNaN(hours) || isNaN(minutes)) {
+    return String(timeStr || '');
+  }
+
+  // En español y portugués se usa siempre formato 24 hs, aunque el locale sugiera AM/PM
+  const hourCycle = ['es', 'pt'].includes(getLanguage(locale)) ? 'h23' : undefined;
+
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: 'UTC',
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle
+  }).format(new Date(Date.UTC(1970, 0, 1, hours, minutes)));
+}
@@ -0,0 +1,29 @@
+// Errores con código HTTP asociado, para que los endpoints respondan el status correcto
+
+export class AppError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Datos de entrada inválidos (400)
+export class ValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, 400, details);
+  }
+}
+
+// Límite de envíos superado (429); retryAfterMs indica cuándo se puede volver a intentar
+export class RateLimitError extends AppError {
+  constructor(message, retryAfterMs, details = null) {
+    super(message, 429, details);
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryAfter() {
+    return Math.max(1, Math.ceil(this.retryAfterMs / 1000));
+  }
+}
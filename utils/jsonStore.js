@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Directorio base para datos persistentes (webhooks, colas, configuración por sesión)
+export const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Almacenamiento simple en un archivo JSON con escritura atómica
+class JsonStore {
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.defaults = defaults;
+    this.data = null;
+    this.saveTimeout = null;
+  }
+
+  // Cargar datos desde disco (una sola vez)
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      logger.error(`❌ Error leyendo ${this.filePath}, se usarán valores por defecto:`, error);
+    }
+
+    if (!this.data) {
+      this.data = structuredClone(this.defaults);
+    }
+
+    return this.data;
+  }
+
+  // Guardar inmediatamente (escribir a un temporal y renombrar para no corromper el archivo)
+  saveNow() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    if (!this.data) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`❌ Error guardando ${this.filePath}:`, error);
+    }
+  }
+
+  // Agrupar escrituras frecuentes en una sola
+  save(delay = 200) {
+    if (this.saveTimeout) {
+      return;
+    }
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.saveNow();
+    }, delay);
+  }
+}
+
+// Agregar una línea JSON a un archivo (logs de auditoría, dead-letter, etc.)
+export function appendJsonLine(fileName, entry) {
+  const filePath = path.join(DATA_DIR, fileName);
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    logger.error(`❌ Error escribiendo en ${filePath}:`, error);
+  }
+}
+
+export default JsonStore;
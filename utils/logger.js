@@ -3,6 +3,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { getRequestContext } from './requestContext.js';
 
 // Obtener __dirname en ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,31 +15,102 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// LOG_FORMAT=json: una línea JSON por log con los campos de contexto (sessionPhone, to, appointmentId,
+// messageId, requestId). LOG_REDACT=true: oculta textos de mensajes y parte de los números de teléfono.
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const LOG_REDACT = process.env.LOG_REDACT === 'true';
+
+const PHONE_FIELDS = ['to', 'from', 'phone', 'sessionPhone', 'jid', 'remoteJid'];
+const BODY_FIELDS = ['text', 'body', 'caption', 'content'];
+const PHONE_PATTERN = /\+?\d{8,15}(?=@|\b)/g;
+
+// Dejar visibles los últimos 4 dígitos: alcanza para reconocer el número sin exponerlo
+export function maskPhone(value) {
+  return String(value).replace(PHONE_PATTERN, match => `${'*'.repeat(match.length - 4)}${match.slice(-4)}`);
+}
+
+// Campos de la request en curso (X-Request-Id, appointmentId, ...); los del propio log tienen prioridad
+const requestContext = winston.format(info => {
+  const context = getRequestContext();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined) {
+        info[key] = value;
+      }
+    }
+  }
+  return info;
+});
+
+const redact = winston.format(info => {
+  if (!LOG_REDACT) {
+    return info;
+  }
+
+  info.message = maskPhone(info.message);
+  if (info.stack) {
+    info.stack = maskPhone(info.stack);
+  }
+  for (const field of PHONE_FIELDS) {
+    if (info[field] !== undefined) {
+      info[field] = maskPhone(info[field]);
+    }
+  }
+  for (const field of BODY_FIELDS) {
+    if (info[field] !== undefined) {
+      info[field] = '[redactado]';
+    }
+  }
+  return info;
+});
+
+// En JSON los emojis del comienzo del mensaje no aportan
+const stripEmoji = winston.format(info => {
+  if (typeof info.message === 'string') {
+    info.message = info.message.replace(/^[\p{Extended_Pictographic}\uFE0F\u200D\s]+/u, '');
+  }
+  return info;
+});
+
 // Configurar formato personalizado
 const customFormat = winston.format.combine(
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
   winston.format.errors({ stack: true }),
-  winston.format.printf(({ level, message, timestamp, stack }) => {
+  requestContext(),
+  redact(),
+  winston.format.printf(({ level, message, timestamp, stack, requestId }) => {
+    const request = requestId ? ` [${requestId}]` : '';
     if (stack) {
-      return `${timestamp} [${level.toUpperCase()}]: ${message}\n${stack}`;
+      return `${timestamp} [${level.toUpperCase()}]${request}: ${message}\n${stack}`;
     }
-    return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+    return `${timestamp} [${level.toUpperCase()}]${request}: ${message}`;
   })
 );
 
+const jsonFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.errors({ stack: true }),
+  requestContext(),
+  redact(),
+  stripEmoji(),
+  winston.format.json()
+);
+
+const fileFormat = LOG_FORMAT === 'json' ? jsonFormat : customFormat;
+const consoleFormat = LOG_FORMAT === 'json'
+  ? jsonFormat
+  : winston.format.combine(winston.format.colorize(), customFormat);
+
 // Crear logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
-  format: customFormat,
+  format: fileFormat,
   transports: [
     // Consola
     new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        customFormat
-      )
+      format: consoleFormat
     }),
     
     // Archivo para todos los logs
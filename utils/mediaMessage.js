@@ -0,0 +1,370 @@
+import { AppError, ValidationError } from './errors.js';
+
+// Armado del contenido de Baileys para cada tipo de mensaje saliente:
+//   "texto" | { type: 'text', text }
+//   { type: 'image' | 'video' | 'audio' | 'ptt' | 'sticker' | 'document', url | data, mimetype, caption, fileName }
+//   { type: 'location', latitude, longitude, name, address }
+//   { type: 'contact', name, phone, organization } | { type: 'contact', contacts: [...] }
+// "data" es el archivo en base64 (acepta data URI: "data:application/pdf;base64,...")
+
+const MB = 1024 * 1024;
+
+function maxSize(type, defaultMB) {
+  const value = parseFloat(process.env[`MEDIA_MAX_${type.toUpperCase()}_MB`] || defaultMB);
+  return Math.round(value * MB);
+}
+
+// Tipos de archivo: límite de tamaño y MIME aceptados (null = cualquiera)
+const MEDIA_TYPES = {
+  image: {
+    maxBytes: maxSize('image', 5),
+    mimetypes: ['image/jpeg', 'image/png', 'image/webp'],
+    defaultMimetype: 'image/jpeg'
+  },
+  video: {
+    maxBytes: maxSize('video', 16),
+    mimetypes: ['video/mp4', 'video/3gpp'],
+    defaultMimetype: 'video/mp4'
+  },
+  audio: {
+    maxBytes: maxSize('audio', 16),
+    mimetypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/wav'],
+    defaultMimetype: 'audio/mpeg'
+  },
+  // Nota de voz: WhatsApp solo la reproduce como tal en ogg/opus
+  ptt: {
+    maxBytes: maxSize('ptt', 16),
+    mimetypes: ['audio/ogg'],
+    defaultMimetype: 'audio/ogg; codecs=opus'
+  },
+  sticker: {
+    maxBytes: maxSize('sticker', 0.5),
+    mimetypes: ['image/webp'],
+    defaultMimetype: 'image/webp'
+  },
+  document: {
+    maxBytes: maxSize('document', 16),
+    mimetypes: null,
+    defaultMimetype: 'application/octet-stream'
+  }
+};
+
+export const MESSAGE_TYPES = ['text', ...Object.keys(MEDIA_TYPES), 'location', 'contact'];
+
+// Tamaño máximo de cualquier archivo (para el límite del upload multipart)
+export const MAX_MEDIA_BYTES = Math.max(...Object.values(MEDIA_TYPES).map(media => media.maxBytes));
+
+// Firmas de archivo conocidas (los primeros bytes)
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+// Detectar el MIME real de un archivo por su contenido (null si no se reconoce)
+export function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47])) return 'image/png';
+  if (ascii(buffer, 0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(buffer, 0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+  if (ascii(buffer, 0, 6) === '#!AMR\n') return 'audio/amr';
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) return 'application/zip';
+
+  // Contenedores ISO (mp4, m4a, 3gp): "ftyp" + marca
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    if (brand.startsWith('3gp')) return 'video/3gpp';
+    return 'video/mp4';
+  }
+
+  return null;
+}
+
+// Formatos detectados que contienen otros: los documentos de Office son zip y el contenedor mp4 también
+// guarda solo audio. Si el tipo declarado es uno de estos, se respeta el declarado.
+const CONTAINER_MIMETYPES = {
+  'application/zip': [
+    'application/x-zip-compressed',
+    'application/vnd.openxmlformats-officedocument.',
+    'application/vnd.oasis.opendocument.',
+    'application/vnd.ms-',
+    'application/epub+zip',
+    'application/java-archive',
+    'application/vnd.android.package-archive'
+  ],
+  'video/mp4': ['audio/mp4', 'audio/x-m4a', 'audio/aac', 'video/quicktime'],
+  'video/3gpp': ['audio/3gpp'],
+  'audio/ogg': ['video/ogg', 'application/ogg']
+};
+
+// Nombres alternativos que mandan algunos clientes
+const MIMETYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav'
+};
+
+// MIME por extensión del nombre de archivo (para documentos enviados sin mimetype)
+const EXTENSION_MIMETYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  csv: 'text/csv',
+  txt: 'text/plain',
+  zip: 'application/zip',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4'
+};
+
+function baseMimetype(mimetype) {
+  return mimetype.split(';')[0].trim().toLowerCase();
+}
+
+function normalizeMimetype(mimetype) {
+  return MIMETYPE_ALIASES[baseMimetype(mimetype)] || mimetype;
+}
+
+function mimetypeFromFileName(fileName) {
+  const extension = /\.([a-z0-9]+)$/i.exec(String(fileName || ''))?.[1].toLowerCase();
+  return EXTENSION_MIMETYPES[extension] || null;
+}
+
+// El tipo declarado es compatible con el detectado: el mismo, o uno que se guarda dentro de ese formato
+function isCompatibleMimetype(sniffed, declared) {
+  const base = baseMimetype(declared);
+  return base === sniffed || (CONTAINER_MIMETYPES[sniffed] || []).some(prefix => base.startsWith(prefix));
+}
+
+// MIME a enviar: el declarado (mimetype, data URI o extensión del nombre) si coincide con el contenido.
+// El contenido solo completa un tipo faltante o corrige el que sale del nombre; si contradice al mimetype
+// declarado explícitamente se rechaza, para no mandar con un tipo equivocado.
+function resolveMimetype(buffer, message, decodedMimetype, config) {
+  const declared = [message.mimetype, decodedMimetype]
+    .filter(mimetype => mimetype && baseMimetype(mimetype) !== 'application/octet-stream')
+    .map(normalizeMimetype)[0] || null;
+  const fromFileName = mimetypeFromFileName(message.fileName);
+  const sniffed = sniffMimeType(buffer);
+
+  if (declared) {
+    if (sniffed && !isCompatibleMimetype(sniffed, declared)) {
+      throw new ValidationError(`El contenido del archivo (${sniffed}) no coincide con el mimetype declarado (${baseMimetype(declared)})`);
+    }
+    return declared;
+  }
+
+  if (fromFileName && (!sniffed || isCompatibleMimetype(sniffed, fromFileName))) {
+    return fromFileName;
+  }
+
+  return sniffed || config.defaultMimetype;
+}
+
+// Decodificar base64 (con o sin prefijo data URI)
+export function decodeBase64(data) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?,(.*)$/s.exec(data);
+  const base64 = (match ? match[2] : data).replace(/\s/g, '');
+
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(base64)) {
+    throw new ValidationError('data no es base64 válido');
+  }
+
+  return {
+    buffer: Buffer.from(base64, 'base64'),
+    mimetype: match ? match[1] : null
+  };
+}
+
+// Obtener el archivo (URL o buffer) validando tamaño y tipo
+function resolveMedia(message) {
+  const type = message.type;
+  const config = MEDIA_TYPES[type];
+
+  if (message.url) {
+    try {
+      if (!['http:', 'https:'].includes(new URL(message.url).protocol)) {
+        throw new Error();
+      }
+    } catch (error) {
+      throw new ValidationError(`url inválida para ${type}: ${message.url}`);
+    }
+
+    return {
+      source: { url: message.url },
+      mimetype: message.mimetype || config.defaultMimetype
+    };
+  }
+
+  if (!message.data) {
+    throw new ValidationError(`Falta el archivo para ${type}: enviar url, data (base64) o un archivo multipart`);
+  }
+
+  const decoded = Buffer.isBuffer(message.data)
+    ? { buffer: message.data, mimetype: null }
+    : decodeBase64(String(message.data));
+
+  if (decoded.buffer.length === 0) {
+    throw new ValidationError(`El archivo para ${type} está vacío`);
+  }
+
+  if (decoded.buffer.length > config.maxBytes) {
+    throw new AppError(
+      `El archivo supera el máximo para ${type}: ${(decoded.buffer.length / MB).toFixed(1)} MB (máximo ${(config.maxBytes / MB).toFixed(1)} MB)`,
+      413
+    );
+  }
+
+  const mimetype = resolveMimetype(decoded.buffer, message, decoded.mimetype, config);
+  const base = baseMimetype(mimetype);
+
+  if (config.mimetypes && !config.mimetypes.includes(base)) {
+    throw new ValidationError(`Formato no soportado para ${type}: ${base} (permitidos: ${config.mimetypes.join(', ')})`);
+  }
+
+  return {
+    source: decoded.buffer,
+    mimetype: type === 'ptt' ? config.defaultMimetype : mimetype
+  };
+}
+
+function buildVcard({ name, phone, organization, email }) {
+  const digits = String(phone).replace(/[^0-9]/g, '');
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${name}`
+  ];
+
+  if (organization) {
+    lines.push(`ORG:${organization}`);
+  }
+  if (email) {
+    lines.push(`EMAIL:${email}`);
+  }
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+  lines.push('END:VCARD');
+
+  return lines.join('\n');
+}
+
+function buildContacts(message) {
+  const contacts = Array.isArray(message.contacts) ? message.contacts : [message];
+
+  if (contacts.length === 0) {
+    throw new ValidationError('contacts no puede estar vacío');
+  }
+
+  contacts.forEach((contact, index) => {
+    if (!contact.vcard && (!contact.name || !contact.phone)) {
+      throw new ValidationError(`Contacto ${index + 1}: se requiere name y phone (o vcard)`);
+    }
+  });
+
+  return {
+    contacts: {
+      displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contactos`,
+      contacts: contacts.map(contact => ({
+        displayName: contact.name,
+        vcard: contact.vcard || buildVcard(contact)
+      }))
+    }
+  };
+}
+
+function buildLocation(message) {
+  const latitude = Number(message.latitude);
+  const longitude = Number(message.longitude);
+
+  if (message.latitude === undefined || message.longitude === undefined ||
+      isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new ValidationError('location requiere latitude (-90 a 90) y longitude (-180 a 180)');
+  }
+
+  return {
+    location: {
+      degreesLatitude: latitude,
+      degreesLongitude: longitude,
+      name: message.name,
+      address: message.address
+    }
+  };
+}
+
+// Tipo de un mensaje ("text" para strings)
+export function getMessageType(message) {
+  return typeof message === 'string' ? 'text' : message?.type;
+}
+
+// Convertir el mensaje recibido por API al contenido que envía Baileys
+export function buildMessageContent(message) {
+  if (typeof message === 'string') {
+    return { text: message };
+  }
+
+  if (!message || typeof message !== 'object') {
+    throw new ValidationError('message debe ser un texto o un objeto con type');
+  }
+
+  const { type } = message;
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw new ValidationError(`Tipo de mensaje no soportado: ${type} (permitidos: ${MESSAGE_TYPES.join(', ')})`);
+  }
+
+  switch (type) {
+    case 'text':
+      if (!message.text) {
+        throw new ValidationError('text es requerido');
+      }
+      return { text: message.text };
+    case 'location':
+      return buildLocation(message);
+    case 'contact':
+      return buildContacts(message);
+  }
+
+  const { source, mimetype } = resolveMedia(message);
+
+  switch (type) {
+    case 'image':
+      return { image: source, mimetype, caption: message.caption || '' };
+    case 'video':
+      return { video: source, mimetype, caption: message.caption || '', gifPlayback: message.gifPlayback === true };
+    case 'audio':
+      return { audio: source, mimetype, ptt: false };
+    case 'ptt':
+      return { audio: source, mimetype, ptt: true };
+    case 'sticker':
+      return { sticker: source, mimetype };
+    case 'document':
+      return {
+        document: source,
+        mimetype,
+        fileName: message.fileName || (mimetype === 'application/pdf' ? 'document.pdf' : 'document'),
+        caption: message.caption || undefined
+      };
+  }
+}
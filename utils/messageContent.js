@@ -0,0 +1,113 @@
+import { getContentType, normalizeMessageContent, jidNormalizedUser, isJidGroup } from '@whiskeysockets/baileys';
+
+// Tipos de mensaje multimedia y su nombre simplificado
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker'
+};
+
+// Convertir valores Long/number de protobuf a number
+function toNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return typeof value === 'number' ? value : Number(value.toString());
+}
+
+// Extraer metadatos de un mensaje multimedia (sin descargar el archivo)
+function extractMedia(inner) {
+  return {
+    mimetype: inner.mimetype || null,
+    fileName: inner.fileName || null,
+    fileLength: toNumber(inner.fileLength),
+    caption: inner.caption || null,
+    seconds: toNumber(inner.seconds),
+    ptt: inner.ptt || false,
+    sha256: inner.fileSha256 ? Buffer.from(inner.fileSha256).toString('base64') : null
+  };
+}
+
+// Convertir un mensaje de Baileys a un objeto plano para webhooks
+export function parseIncomingMessage(msg) {
+  const content = normalizeMessageContent(msg.message);
+  const contentType = getContentType(content);
+
+  if (!content || !contentType) {
+    return null;
+  }
+
+  const inner = content[contentType];
+  const remoteJid = msg.key.remoteJid;
+  const isGroup = !!isJidGroup(remoteJid);
+  const senderJid = jidNormalizedUser(isGroup ? msg.key.participant : remoteJid);
+
+  const parsed = {
+    messageId: msg.key.id,
+    from: senderJid.split('@')[0],
+    fromJid: senderJid,
+    chatJid: remoteJid,
+    isGroup,
+    pushName: msg.pushName || null,
+    timestamp: msg.messageTimestamp ? new Date(toNumber(msg.messageTimestamp) * 1000).toISOString() : new Date().toISOString(),
+    type: 'text',
+    text: null,
+    media: null,
+    quotedMessageId: inner?.contextInfo?.stanzaId || null
+  };
+
+  switch (contentType) {
+    case 'conversation':
+      parsed.text = content.conversation;
+      break;
+    case 'extendedTextMessage':
+      parsed.text = inner.text;
+      break;
+    case 'buttonsResponseMessage':
+      parsed.type = 'button_reply';
+      parsed.text = inner.selectedDisplayText;
+      parsed.selectedId = inner.selectedButtonId;
+      break;
+    case 'templateButtonReplyMessage':
+      parsed.type = 'button_reply';
+      parsed.text = inner.selectedDisplayText;
+      parsed.selectedId = inner.selectedId;
+      break;
+    case 'listResponseMessage':
+      parsed.type = 'list_reply';
+      parsed.text = inner.title;
+      parsed.selectedId = inner.singleSelectReply?.selectedRowId || null;
+      break;
+    case 'locationMessage':
+      parsed.type = 'location';
+      parsed.location = {
+        latitude: inner.degreesLatitude,
+        longitude: inner.degreesLongitude,
+        name: inner.name || null,
+        address: inner.address || null
+      };
+      break;
+    case 'contactMessage':
+      parsed.type = 'contact';
+      parsed.contact = { displayName: inner.displayName, vcard: inner.vcard };
+      break;
+    case 'reactionMessage':
+      parsed.type = 'reaction';
+      parsed.text = inner.text;
+      parsed.quotedMessageId = inner.key?.id || null;
+      break;
+    default:
+      if (MEDIA_TYPES[contentType]) {
+        parsed.type = MEDIA_TYPES[contentType];
+        parsed.text = inner.caption || null;
+        parsed.media = extractMedia(inner);
+      } else {
+        // Mensajes de protocolo (borrados, sincronización, etc.) no se reenvían
+        return null;
+      }
+  }
+
+  return parsed;
+}
@@ -0,0 +1,176 @@
+import client from 'prom-client';
+
+// Métricas en formato Prometheus (GET /metrics).
+// Las etiquetas "session" son los números de sesión: una serie por clínica, no por destinatario.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const messagesSent = new client.Counter({
+  name: 'whatsapp_messages_sent_total',
+  help: 'Mensajes enviados por sesión y tipo',
+  labelNames: ['session', 'type'],
+  registers: [register]
+});
+
+const messagesFailed = new client.Counter({
+  name: 'whatsapp_messages_failed_total',
+  help: 'Envíos fallidos por sesión y tipo',
+  labelNames: ['session', 'type'],
+  registers: [register]
+});
+
+const templateSends = new client.Counter({
+  name: 'whatsapp_template_sends_total',
+  help: 'Templates de turnos enviados por tipo de mensaje y resultado (sent, fallback, failed)',
+  labelNames: ['session', 'message_type', 'result'],
+  registers: [register]
+});
+
+const appointmentReplies = new client.Counter({
+  name: 'whatsapp_appointment_replies_total',
+  help: 'Respuestas de pacientes a templates de turnos por intención (confirm, cancel, reschedule, unknown)',
+  labelNames: ['session', 'intent'],
+  registers: [register]
+});
+
+const reconnectAttempts = new client.Counter({
+  name: 'whatsapp_reconnect_attempts_total',
+  help: 'Intentos de reconexión programados',
+  labelNames: ['session'],
+  registers: [register]
+});
+
+const disconnects = new client.Counter({
+  name: 'whatsapp_disconnects_total',
+  help: 'Desconexiones por código de motivo de WhatsApp',
+  labelNames: ['session', 'code'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Latencia de las requests HTTP por ruta',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+// Tiempo en cada estado: acumulado de los estados anteriores más lo que lleva en el actual
+const stateTimes = new Map(); // session -> { state, since, totals: { state: ms } }
+
+new client.Gauge({
+  name: 'whatsapp_session_time_in_state_seconds',
+  help: 'Tiempo acumulado de cada sesión en cada estado de conexión',
+  labelNames: ['session', 'state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    const now = Date.now();
+    for (const [session, entry] of stateTimes) {
+      const totals = { ...entry.totals, [entry.state]: (entry.totals[entry.state] || 0) + now - entry.since };
+      for (const [state, ms] of Object.entries(totals)) {
+        this.set({ session, state }, ms / 1000);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'whatsapp_session_state',
+  help: 'Estado actual de cada sesión (1 en el estado vigente)',
+  labelNames: ['session', 'state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const [session, entry] of stateTimes) {
+      this.set({ session, state: entry.state }, 1);
+    }
+  }
+});
+
+// Fuentes que se leen al momento del scrape (las registra app.js con el manager)
+let manager = null;
+
+new client.Gauge({
+  name: 'whatsapp_outbox_queue_depth',
+  help: 'Mensajes en cola pendientes de envío por sesión',
+  labelNames: ['session'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!manager) {
+      return;
+    }
+    for (const [session, count] of Object.entries(manager.outbox.getQueuedCounts())) {
+      this.set({ session }, count);
+    }
+  }
+});
+
+function attachManager(whatsappManager) {
+  manager = whatsappManager;
+}
+
+function recordSent(session, type) {
+  messagesSent.inc({ session, type: type || 'text' });
+}
+
+function recordFailed(session, type) {
+  messagesFailed.inc({ session, type: type || 'text' });
+}
+
+function recordTemplate(session, messageType, result) {
+  templateSends.inc({ session, message_type: messageType || 'unknown', result });
+}
+
+function recordReply(session, intent) {
+  appointmentReplies.inc({ session, intent });
+}
+
+function recordReconnectAttempt(session) {
+  reconnectAttempts.inc({ session });
+}
+
+function recordDisconnect(session, code) {
+  disconnects.inc({ session, code: code === undefined || code === null ? 'unknown' : String(code) });
+}
+
+function recordState(session, state) {
+  const now = Date.now();
+  const entry = stateTimes.get(session);
+
+  if (!entry) {
+    stateTimes.set(session, { state, since: now, totals: {} });
+    return;
+  }
+
+  entry.totals[entry.state] = (entry.totals[entry.state] || 0) + now - entry.since;
+  entry.state = state;
+  entry.since = now;
+}
+
+// Middleware de latencia: usa la ruta declarada (con :phoneNumber) para no crear una serie por número
+function httpMetrics(req, res, next) {
+  const end = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
+
+export default {
+  register,
+  attachManager,
+  recordSent,
+  recordFailed,
+  recordTemplate,
+  recordReply,
+  recordReconnectAttempt,
+  recordDisconnect,
+  recordState,
+  httpMetrics
+};
@@ -0,0 +1,194 @@
+import { ValidationError } from './errors.js';
+
+// Normalización de números de teléfono a E.164 y al número que usa WhatsApp en el JID.
+// Acepta formato internacional ("+54 9 11 2345-6789", "0054...", "5491123456789") y,
+// con un país por defecto, formato local ("011 15 2345-6789", "2346 15 33-4077").
+
+// Países soportados: código de país, largos válidos del número nacional y prefijo troncal
+export const COUNTRIES = {
+  AR: { callingCode: '54', nationalLengths: [10], trunkPrefix: '0' },
+  BR: { callingCode: '55', nationalLengths: [10, 11], trunkPrefix: '0' },
+  CL: { callingCode: '56', nationalLengths: [9], trunkPrefix: null },
+  CO: { callingCode: '57', nationalLengths: [10], trunkPrefix: null },
+  ES: { callingCode: '34', nationalLengths: [9], trunkPrefix: null },
+  MX: { callingCode: '52', nationalLengths: [10], trunkPrefix: null },
+  PE: { callingCode: '51', nationalLengths: [8, 9], trunkPrefix: '0' },
+  PY: { callingCode: '595', nationalLengths: [9], trunkPrefix: '0' },
+  UY: { callingCode: '598', nationalLengths: [8], trunkPrefix: '0' },
+  US: { callingCode: '1', nationalLengths: [10], trunkPrefix: '1' }
+};
+
+export function isSupportedCountry(country) {
+  return Object.prototype.hasOwnProperty.call(COUNTRIES, country);
+}
+
+// País de un número internacional (solo dígitos) según su código de país
+export function detectCountry(digits) {
+  const matches = Object.entries(COUNTRIES)
+    .filter(([, { callingCode }]) => String(digits).startsWith(callingCode))
+    .sort(([, a], [, b]) => b.callingCode.length - a.callingCode.length);
+
+  return matches.length > 0 ? matches[0][0] : null;
+}
+
+function invalid(input, reason) {
+  return new ValidationError(`Número de teléfono inválido: ${input} (${reason})`);
+}
+
+// Argentina: los celulares se marcan localmente con 15 después del código de área
+// y en WhatsApp llevan un 9 entre el 54 y el código de área
+function parseArgentina(input, digits, international) {
+  let number = digits;
+
+  if (!international && number.startsWith('0')) {
+    number = number.slice(1);
+  }
+
+  // El 9 de celulares (ningún código de área empieza con 9)
+  if (number.startsWith('9')) {
+    number = number.slice(1);
+  }
+
+  // Quitar el 15: el código de área es 11 o de 3/4 dígitos
+  if (number.length === 12) {
+    const areaLength = number.startsWith('11') ? 2 : [3, 4].find(length => number.slice(length, length + 2) === '15');
+    if (areaLength && number.slice(areaLength, areaLength + 2) === '15') {
+      number = number.slice(0, areaLength) + number.slice(areaLength + 2);
+    }
+  }
+
+  // Ningún código de área es 15: es un celular marcado sin el código de área (ambiguo)
+  if (number.startsWith('15')) {
+    throw invalid(input, 'falta el código de área antes del 15, ej: 11 15 2345-6789 o 2346 15 33-4077');
+  }
+
+  // Los códigos de área argentinos empiezan con 1 (11), 2 o 3
+  if (number.length !== 10 || !/^[123]/.test(number)) {
+    throw invalid(input, 'en Argentina se esperan 10 dígitos con el código de área, ej: 11 2345-6789 o 2346 33-4077');
+  }
+
+  // Los números sin 9 ni 15 también se toman como celulares: WhatsApp en líneas fijas es excepcional
+  return { national: number, whatsapp: `549${number}` };
+}
+
+// México: WhatsApp sigue usando el 1 después del 52 para todos los números
+function parseMexico(input, digits, international) {
+  let number = digits;
+
+  if (!international) {
+    // Prefijos de larga distancia y celular ya eliminados en la marcación actual
+    if (number.length === 13 && /^04[45]/.test(number)) {
+      number = number.slice(3);
+    } else if (number.length === 12 && number.startsWith('01')) {
+      number = number.slice(2);
+    }
+  } else if (number.length === 11 && number.startsWith('1')) {
+    number = number.slice(1);
+  }
+
+  if (number.length !== 10) {
+    throw invalid(input, 'en México se esperan 10 dígitos, ej: 55 1234 5678');
+  }
+
+  return { national: number, whatsapp: `521${number}` };
+}
+
+function parseGeneric(input, country, digits, international) {
+  const { callingCode, nationalLengths, trunkPrefix } = COUNTRIES[country];
+  let number = digits;
+
+  if (!international && trunkPrefix && number.startsWith(trunkPrefix) && !nationalLengths.includes(number.length)) {
+    number = number.slice(trunkPrefix.length);
+  }
+
+  if (!nationalLengths.includes(number.length)) {
+    throw invalid(input, `para ${country} se esperan ${nationalLengths.join(' o ')} dígitos sin el código de país`);
+  }
+
+  return { national: number, whatsapp: `${callingCode}${number}` };
+}
+
+function parseNational(input, country, digits, international) {
+  let parsed;
+
+  switch (country) {
+    case 'AR':
+      parsed = parseArgentina(input, digits, international);
+      break;
+    case 'MX':
+      parsed = parseMexico(input, digits, international);
+      break;
+    default:
+      parsed = parseGeneric(input, country, digits, international);
+  }
+
+  return {
+    ...parsed,
+    country,
+    e164: `+${COUNTRIES[country].callingCode}${parsed.national}`
+  };
+}
+
+function parseInternational(input, digits) {
+  const country = detectCountry(digits);
+
+  if (country) {
+    return parseNational(input, country, digits.slice(COUNTRIES[country].callingCode.length), true);
+  }
+
+  // País no incluido en la tabla: solo se valida el largo de E.164
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+    throw invalid(input, 'se esperan entre 8 y 15 dígitos incluyendo el código de país');
+  }
+
+  return { national: null, whatsapp: digits, country: null, e164: `+${digits}` };
+}
+
+// Normalizar un número. Devuelve { e164, whatsapp, country, national } o lanza ValidationError.
+export function normalizePhoneNumber(input, { defaultCountry = null } = {}) {
+  const raw = String(input ?? '').trim();
+
+  if (!raw) {
+    throw new ValidationError('Número de teléfono vacío');
+  }
+
+  if (!/^[\d\s()+.\-/]+$/.test(raw)) {
+    throw invalid(raw, 'solo se permiten dígitos, espacios, +, -, ( ) y .');
+  }
+
+  let digits = raw.replace(/\D/g, '');
+  let international = raw.startsWith('+');
+
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  if (international || !defaultCountry) {
+    return parseInternational(raw, digits);
+  }
+
+  if (!isSupportedCountry(defaultCountry)) {
+    throw new ValidationError(`País no soportado: ${defaultCountry} (soportados: ${Object.keys(COUNTRIES).join(', ')})`);
+  }
+
+  // Con código de país pero sin "+" (ej: 5492346334077)
+  if (digits.startsWith(COUNTRIES[defaultCountry].callingCode)) {
+    try {
+      return parseNational(raw, defaultCountry, digits.slice(COUNTRIES[defaultCountry].callingCode.length), true);
+    } catch (error) {
+      // Puede ser un número local que empieza igual que el código de país
+    }
+  }
+
+  try {
+    return parseNational(raw, defaultCountry, digits, false);
+  } catch (nationalError) {
+    // Número de otro país escrito sin "+"
+    try {
+      return parseInternational(raw, digits);
+    } catch (error) {
+      throw nationalError;
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// Política de reconexión: backoff exponencial con variación aleatoria y corte (circuit breaker).
+// Después de maxAttempts intentos fallidos la sesión queda en "failed" y se vuelve a intentar
+// pasado cooldownMs. maxAttempts = 0 reintenta sin límite; cooldownMs = 0 no reintenta solo.
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+export const DEFAULT_RECONNECT_POLICY = {
+  initialDelayMs: envNumber('RECONNECT_INITIAL_DELAY_MS', 2000),
+  maxDelayMs: envNumber('RECONNECT_MAX_DELAY_MS', 60000),
+  multiplier: envNumber('RECONNECT_MULTIPLIER', 2),
+  jitter: envNumber('RECONNECT_JITTER', 0.3),
+  maxAttempts: envNumber('RECONNECT_MAX_ATTEMPTS', 10),
+  cooldownMs: envNumber('RECONNECT_COOLDOWN_MS', 5 * 60 * 1000)
+};
+
+const INTEGER_FIELDS = ['initialDelayMs', 'maxDelayMs', 'maxAttempts', 'cooldownMs'];
+
+// Validar la configuración "reconnect" de una sesión (mensaje de error o null)
+export function validateReconnectPolicy(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return 'reconnect debe ser un objeto { initialDelayMs, maxDelayMs, multiplier, jitter, maxAttempts, cooldownMs }';
+  }
+
+  for (const [key, setting] of Object.entries(value)) {
+    if (INTEGER_FIELDS.includes(key)) {
+      if (!Number.isInteger(setting) || setting < 0) {
+        return `reconnect.${key} debe ser un entero mayor o igual a 0`;
+      }
+    } else if (key === 'multiplier') {
+      if (typeof setting !== 'number' || setting < 1 || setting > 10) {
+        return 'reconnect.multiplier debe ser un número entre 1 y 10';
+      }
+    } else if (key === 'jitter') {
+      if (typeof setting !== 'number' || setting < 0 || setting > 1) {
+        return 'reconnect.jitter debe ser un número entre 0 y 1 (proporción del delay)';
+      }
+    } else {
+      return `reconnect.${key} desconocido`;
+    }
+  }
+
+  if (value.initialDelayMs !== undefined && value.maxDelayMs !== undefined && value.initialDelayMs > value.maxDelayMs) {
+    return 'reconnect.initialDelayMs no puede ser mayor que reconnect.maxDelayMs';
+  }
+
+  return null;
+}
+
+// Espera antes del intento número attempt (1, 2, ...): crece exponencialmente hasta maxDelayMs,
+// con ±jitter para que las sesiones no reconecten todas al mismo tiempo
+export function computeReconnectDelay(policy, attempt) {
+  const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.multiplier, Math.max(0, attempt - 1)));
+  const variation = base * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(base + variation));
+}
@@ -0,0 +1,50 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+// Contexto de la request en curso (requestId, appointmentId, ...), disponible en todo el código
+// que se ejecuta a partir de ella sin pasarlo como parámetro. El logger lo agrega a cada línea.
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+// Agregar datos al contexto actual (no hace nada fuera de una request)
+export function addToRequestContext(fields) {
+  const context = storage.getStore();
+  if (context) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) {
+        context[key] = value;
+      }
+    }
+  }
+}
+
+// Ejecutar fn con un contexto propio (ej. trabajos del outbox, fuera de una request)
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// Middleware: usa el X-Request-Id recibido (ej. desde Symfony) o genera uno, y lo devuelve en la respuesta
+export function requestIdMiddleware(req, res, next) {
+  const received = req.headers['x-request-id'];
+  const requestId = typeof received === 'string' && REQUEST_ID_PATTERN.test(received) ? received : crypto.randomUUID();
+
+  req.requestId = requestId;
+  req.requestContext = { requestId };
+  res.setHeader('X-Request-Id', requestId);
+
+  storage.run(req.requestContext, next);
+}
+
+// Los parsers de body (json, multer) continúan desde eventos del socket y pierden el contexto:
+// este middleware lo restablece para el resto de la cadena
+export function restoreRequestContext(req, res, next) {
+  if (req.requestContext && storage.getStore() !== req.requestContext) {
+    return storage.run(req.requestContext, next);
+  }
+  next();
+}
@@ -0,0 +1,118 @@
+// Motor de templates simple:
+//   {{variable}}                         -> reemplazo
+//   {{#if variable}}...{{else}}...{{/if}} -> condicional
+//   {{#unless variable}}...{{/unless}}    -> condicional negado
+
+const VARIABLE_TYPES = ['string', 'number', 'url', 'date', 'time', 'boolean'];
+
+// Bloques sin otros bloques adentro (se resuelven de adentro hacia afuera)
+const INNER_BLOCK = /\{\{#(if|unless)\s+([\w.]+)\s*\}\}((?:(?!\{\{#(?:if|unless)\s)[\s\S])*?)\{\{\/\1\}\}/;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function getValue(vars, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), vars);
+}
+
+function isTruthy(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+export function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Renderizar un texto con las variables dadas
+export function render(text, vars) {
+  let output = String(text);
+  let match;
+
+  while ((match = INNER_BLOCK.exec(output)) !== null) {
+    const [block, kind, name, body] = match;
+    const [whenTrue, whenFalse = ''] = body.split('{{else}}');
+    const condition = isTruthy(getValue(vars, name));
+    const chosen = (kind === 'if' ? condition : !condition) ? whenTrue : whenFalse;
+    output = output.slice(0, match.index) + chosen + output.slice(match.index + block.length);
+  }
+
+  return output.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = getValue(vars, name);
+    return isEmpty(value) ? '' : String(value);
+  });
+}
+
+// Validar un valor contra el tipo declarado en el esquema
+function checkType(value, type) {
+  switch (type) {
+    case 'number':
+      return !isNaN(Number(value));
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}/.test(String(value));
+    case 'time':
+      return /^\d{1,2}:\d{2}/.test(String(value));
+    default:
+      return typeof value === 'string' || typeof value === 'number';
+  }
+}
+
+// Validar variables contra el esquema declarado: devuelve lista de errores
+export function validateVariables(schema = {}, vars = {}) {
+  const missing = [];
+  const invalid = [];
+
+  for (const [name, definition] of Object.entries(schema)) {
+    const value = getValue(vars, name);
+
+    if (isEmpty(value)) {
+      if (definition.required) {
+        missing.push(name);
+      }
+      continue;
+    }
+
+    if (!checkType(value, definition.type || 'string')) {
+      invalid.push(`${name} (${definition.type})`);
+    }
+  }
+
+  const errors = [];
+  if (missing.length > 0) {
+    errors.push(`Faltan campos: ${missing.join(', ')}`);
+  }
+  if (invalid.length > 0) {
+    errors.push(`Campos con formato inválido: ${invalid.join(', ')}`);
+  }
+  return errors;
+}
+
+// Validar la definición de un esquema de variables
+export function validateSchema(schema) {
+  const errors = [];
+
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return ['variables debe ser un objeto { nombre: { type, required } }'];
+  }
+
+  for (const [name, definition] of Object.entries(schema)) {
+    if (!/^[\w.]+$/.test(name)) {
+      errors.push(`Nombre de variable inválido: ${name}`);
+    }
+    if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+      errors.push(`Definición inválida para ${name}: debe ser un objeto { type, required }`);
+      continue;
+    }
+    if (definition.type && !VARIABLE_TYPES.includes(definition.type)) {
+      errors.push(`Tipo inválido para ${name}: ${definition.type} (usar ${VARIABLE_TYPES.join(', ')})`);
+    }
+  }
+
+  return errors;
+}